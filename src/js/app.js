@@ -13,49 +13,72 @@
 // IMPORTS
 // ============================================
 
-import { scoreQuiz } from './scoring-engine.js';
-
-const RESULT_HASH_PREFIX = '#result=';
-const CONFIDENCE_LEVEL_CODES = {
-    strong: 's',
-    moderate: 'm',
-    low: 'l'
-};
-
-const CONFIDENCE_CODE_LABELS = {
-    s: 'strong',
-    m: 'moderate',
-    l: 'low'
-};
-
-const TRAIT_COMPRESSION_TABLE = [
-    { id: 'awareness', key: 'aw', min: 0, max: 1 },
-    { id: 'affect', key: 'af', min: -1, max: 1 },
-    { id: 'agency', key: 'ag', min: 0, max: 1 },
-    { id: 'time', key: 'ti', min: -1, max: 1 },
-    { id: 'relationality', key: 're', min: 0, max: 1 },
-    { id: 'posture', key: 'po', min: 0, max: 1 },
-];
+import {
+    scoreQuiz,
+    traceArchetypeContributions,
+    analyzeResultStability,
+    calculateRadarChartCoordinates,
+    calculateTraitSimilarities,
+    blendTraitProfiles,
+    loadArchetypeTraitProfiles,
+    loadArchetypeDimensionalProfiles,
+    loadArchetypeFamilies,
+    selectNextQuestion,
+    validateQuizDataStrict,
+    calculateDimensionRanges,
+    ARCHETYPE_TRAIT_PROFILES,
+    CONFIDENCE_THRESHOLDS
+} from './scoring-engine.js';
+import {
+    SNAPSHOT_VERSION,
+    COMPACT_SNAPSHOT_VERSIONS,
+    RESULT_HASH_PREFIX,
+    COMPARE_HASH_PARAM,
+    TRAIT_COMPRESSION_TABLE,
+    clampNumber,
+    encodeConfidence,
+    encodeTraitProfile,
+    decodeTraitProfile,
+    encodeBlend,
+    decodeBlend,
+    encodeBalance,
+    decodeBalance,
+    rescaleRawDimensions,
+    convertLegacyDimensions,
+    dropUnknownArchetypes,
+    expandCompactSnapshot,
+    encodeSnapshotPayload,
+    decodeResultSnapshot,
+    parseResultHash
+} from './result-snapshot.js';
+import { buildNarrative, describeDimension } from './narrative.js';
+
+const PROGRESS_STORAGE_KEY = 'collapse-archetypes:progress';
+const PROGRESS_SCHEMA_VERSION = 2;
+const HISTORY_STORAGE_KEY = 'collapse-archetypes:history';
+const HISTORY_SCHEMA_VERSION = 1;
+const HISTORY_MAX_ENTRIES = 50;
 
 // ============================================
 // STATE MANAGEMENT
 // ============================================
 
 const QuizState = {
-    currentQuestionIndex: 0,
+    currentQuestionIndex: 0,  // Position in questionOrder, not in the question bank
+    questionOrder: [],  // Question bank indexes in the order asked
+    adaptive: false,  // Ask questions chosen by selectNextQuestion() and stop early
     responses: [],
-    scores: {},
-    dimensionalScores: {
-        affective: 0,
-        cognitive: 0,
-        relational: 0,
-        temporal: 0,
-        behavioral: 0
-    },
+    dimensionScores: {},  // 0-100 per dimension, from scoreQuiz() or a shared snapshot
+    dimensionBands: null,  // {dimensionId: {low, high, answered}}, own results only
     quizData: null,
+    narrativeTemplates: null,  // src/data/narrative-templates.json
     isLoading: false,
+    isAdvancing: false,
+    saveProgress: false,
     scoringResult: null,
     lastResultSnapshot: null,
+    ownResultSnapshot: null,
+    comparisonSnapshot: null,
     lastArchetypeId: null,
     sharedResultMode: false,
 };
@@ -69,17 +92,27 @@ const DOM = {
     welcomeScreen: null,
     quizScreen: null,
     resultsScreen: null,
+    historyScreen: null,
 
     // Welcome elements
     startBtn: null,
+    saveProgressToggle: null,
+    adaptiveToggle: null,
+    resumePrompt: null,
+    resumeMeta: null,
+    resumeBtn: null,
+    discardProgressBtn: null,
+    welcomeHistoryBtn: null,
 
     // Quiz elements
     progressFill: null,
     progressText: null,
     questionText: null,
     answersContainer: null,
+    prevBtn: null,
 
     // Results elements
+    resultsLabel: null,
     archetypeName: null,
     archetypeImage: null,
     archetypeMeme: null,
@@ -90,81 +123,21 @@ const DOM = {
     downloadPdfBtn: null,
     sharedResultBanner: null,
     sharedResultMeta: null,
+    compareWithMineBtn: null,
+    comparePanel: null,
+    compareContent: null,
+    saveHistoryBtn: null,
+    viewHistoryBtn: null,
+
+    // History elements
+    historyChart: null,
+    historyLegend: null,
+    historyList: null,
+    historyEmpty: null,
+    historyBackBtn: null,
+    clearHistoryBtn: null,
 };
 
-function clampNumber(value, min, max) {
-    if (typeof value !== 'number' || Number.isNaN(value)) {
-        return min;
-    }
-    return Math.min(max, Math.max(min, value));
-}
-
-function encodeConfidence(confidence) {
-    if (!confidence) return null;
-    const score = typeof confidence.score === 'number'
-        ? clampNumber(Math.round(confidence.score * 100), 0, 100)
-        : null;
-    const levelCode = confidence.level
-        ? (CONFIDENCE_LEVEL_CODES[confidence.level.toLowerCase()] || '')
-        : '';
-    if (score === null && !levelCode) {
-        return null;
-    }
-    return [score, levelCode];
-}
-
-function decodeConfidence(value) {
-    if (!Array.isArray(value)) return null;
-    const [scoreInt, code] = value;
-    const score = typeof scoreInt === 'number'
-        ? clampNumber(scoreInt, 0, 100) / 100
-        : null;
-    const level = code
-        ? (CONFIDENCE_CODE_LABELS[code.toLowerCase()] || null)
-        : null;
-    if (score === null && !level) {
-        return null;
-    }
-    return { score, level };
-}
-
-function encodeTraitProfile(traits = null) {
-    if (!traits) return null;
-    const encoded = {};
-    TRAIT_COMPRESSION_TABLE.forEach(({ id, key, min, max }) => {
-        const value = traits[id];
-        if (typeof value === 'number' && Number.isFinite(value)) {
-            const normalized = clampNumber((value - min) / (max - min), 0, 1);
-            encoded[key] = Math.round(normalized * 100);
-        }
-    });
-    return Object.keys(encoded).length ? encoded : null;
-}
-
-function decodeTraitProfile(encoded = null) {
-    if (!encoded) return null;
-    const traits = {};
-    TRAIT_COMPRESSION_TABLE.forEach(({ id, key, min, max }) => {
-        if (Object.prototype.hasOwnProperty.call(encoded, key)) {
-            const normalized = clampNumber(encoded[key], 0, 100) / 100;
-            const value = min + normalized * (max - min);
-            traits[id] = Number(value.toFixed(3));
-        }
-    });
-    return Object.keys(traits).length ? traits : null;
-}
-
-function convertDimensionsToRaw(dimensions = {}) {
-    const raw = {};
-    Object.entries(dimensions).forEach(([id, normalized]) => {
-        if (typeof normalized === 'number' && Number.isFinite(normalized)) {
-            const clamped = clampNumber(normalized, 0, 100);
-            raw[id] = Math.round((clamped / 100) * 120 - 60);
-        }
-    });
-    return raw;
-}
-
 // ============================================
 // INITIALIZATION
 // ============================================
@@ -173,8 +146,8 @@ async function init() {
     // Cache DOM elements
     cacheDOMElements();
 
-    // Load quiz data
-    await loadQuizData();
+    // Load quiz data; the narrative text is optional and loads alongside
+    await Promise.all([loadQuizData(), loadNarrativeTemplates()]);
 
     // Initialize event listeners
     initEventListeners();
@@ -182,6 +155,10 @@ async function init() {
     // Initialize keyboard navigation
     initKeyboardNavigation();
 
+    // Offer to resume a quiz saved on this device
+    offerSavedProgress();
+    updateHistoryControls();
+
     // Handle shared results if the page was opened with a hash payload
     handleSharedResultFromHash();
     window.addEventListener('hashchange', handleSharedResultFromHash);
@@ -194,17 +171,27 @@ function cacheDOMElements() {
     DOM.welcomeScreen = document.getElementById('welcomeScreen');
     DOM.quizScreen = document.getElementById('quizScreen');
     DOM.resultsScreen = document.getElementById('resultsScreen');
+    DOM.historyScreen = document.getElementById('historyScreen');
 
     // Welcome
     DOM.startBtn = document.getElementById('startBtn');
+    DOM.saveProgressToggle = document.getElementById('saveProgressToggle');
+    DOM.adaptiveToggle = document.getElementById('adaptiveToggle');
+    DOM.resumePrompt = document.getElementById('resumePrompt');
+    DOM.resumeMeta = document.getElementById('resumeMeta');
+    DOM.resumeBtn = document.getElementById('resumeBtn');
+    DOM.discardProgressBtn = document.getElementById('discardProgressBtn');
+    DOM.welcomeHistoryBtn = document.getElementById('welcomeHistoryBtn');
 
     // Quiz
     DOM.progressFill = document.getElementById('progressFill');
     DOM.progressText = document.getElementById('progressText');
     DOM.questionText = document.getElementById('questionText');
     DOM.answersContainer = document.getElementById('answersContainer');
+    DOM.prevBtn = document.getElementById('prevBtn');
 
     // Results
+    DOM.resultsLabel = document.getElementById('resultsLabel');
     DOM.archetypeName = document.getElementById('archetypeName');
     DOM.archetypeImage = document.getElementById('archetypeImage');
     DOM.archetypeMeme = document.getElementById('archetypeMeme');
@@ -215,29 +202,85 @@ function cacheDOMElements() {
     DOM.downloadPdfBtn = document.getElementById('downloadPdfBtn');
     DOM.sharedResultBanner = document.getElementById('sharedResultBanner');
     DOM.sharedResultMeta = document.getElementById('sharedResultMeta');
+    DOM.compareWithMineBtn = document.getElementById('compareWithMineBtn');
+    DOM.comparePanel = document.getElementById('comparePanel');
+    DOM.compareContent = document.getElementById('compareContent');
+    DOM.saveHistoryBtn = document.getElementById('saveHistoryBtn');
+    DOM.viewHistoryBtn = document.getElementById('viewHistoryBtn');
+
+    // History
+    DOM.historyChart = document.getElementById('historyChart');
+    DOM.historyLegend = document.getElementById('historyLegend');
+    DOM.historyList = document.getElementById('historyList');
+    DOM.historyEmpty = document.getElementById('historyEmpty');
+    DOM.historyBackBtn = document.getElementById('historyBackBtn');
+    DOM.clearHistoryBtn = document.getElementById('clearHistoryBtn');
 }
 
 async function loadQuizData() {
     try {
-        const response = await fetch('src/data/quiz-data.json');
-        if (!response.ok) throw new Error('Failed to load quiz data');
+        const [response, schemaResponse] = await Promise.all([
+            fetch('src/data/quiz-data.json'),
+            fetch('src/data/quiz-data.schema.json')
+        ]);
+        if (!response.ok || !schemaResponse.ok) throw new Error('Failed to load quiz data');
+
+        const quizData = await response.json();
+
+        // Refuse to run on data with broken cross-references rather than
+        // silently dropping unknown archetypes or dimensions from results
+        const validation = validateQuizDataStrict(quizData, await schemaResponse.json());
+        if (!validation.valid) {
+            throw new Error(`Invalid quiz data:\n${validation.errors.join('\n')}`);
+        }
 
-        QuizState.quizData = await response.json();
+        // Trait profiles come from each archetype's qualitative traits
+        loadArchetypeTraitProfiles(quizData.archetypes);
+        loadArchetypeDimensionalProfiles(quizData.archetypes);
+        loadArchetypeFamilies(quizData.families || []);
 
-        // Initialize scores for all archetypes
-        QuizState.quizData.archetypes.forEach(archetype => {
-            QuizState.scores[archetype.id] = 0;
-        });
+        // Publish the data only once it is validated and every profile has
+        // loaded; the QuizState.quizData checks keep the quiz closed otherwise
+        QuizState.quizData = quizData;
     } catch (error) {
         console.error('Error loading quiz data:', error);
         showError('Failed to load quiz. Please refresh the page.');
     }
 }
 
+/**
+ * Loads the results narrative text. Without it the quiz still runs; results
+ * just leave out the narrative and the dimension interpretations.
+ */
+async function loadNarrativeTemplates() {
+    try {
+        const response = await fetch('src/data/narrative-templates.json');
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        QuizState.narrativeTemplates = await response.json();
+    } catch (error) {
+        console.warn('Narrative templates unavailable; results will show without a narrative:', error);
+        QuizState.narrativeTemplates = null;
+    }
+}
+
 function initEventListeners() {
     // Welcome screen
     if (DOM.startBtn) {
-        DOM.startBtn.addEventListener('click', startQuiz);
+        DOM.startBtn.addEventListener('click', () => startQuiz());
+    }
+    if (DOM.saveProgressToggle) {
+        DOM.saveProgressToggle.addEventListener('change', handleSaveProgressToggle);
+    }
+    if (DOM.resumeBtn) {
+        DOM.resumeBtn.addEventListener('click', resumeQuiz);
+    }
+    if (DOM.discardProgressBtn) {
+        DOM.discardProgressBtn.addEventListener('click', discardSavedProgress);
+    }
+
+    // Quiz screen
+    if (DOM.prevBtn) {
+        DOM.prevBtn.addEventListener('click', goToPreviousQuestion);
     }
 
     // Results screen
@@ -250,6 +293,29 @@ function initEventListeners() {
     if (DOM.downloadPdfBtn) {
         DOM.downloadPdfBtn.addEventListener('click', downloadResultAsPdf);
     }
+    if (DOM.compareWithMineBtn) {
+        DOM.compareWithMineBtn.addEventListener('click', compareWithMine);
+    }
+    if (DOM.saveHistoryBtn) {
+        DOM.saveHistoryBtn.addEventListener('click', saveResultToHistory);
+    }
+    if (DOM.viewHistoryBtn) {
+        DOM.viewHistoryBtn.addEventListener('click', showHistory);
+    }
+
+    // History screen
+    if (DOM.welcomeHistoryBtn) {
+        DOM.welcomeHistoryBtn.addEventListener('click', showHistory);
+    }
+    if (DOM.historyBackBtn) {
+        DOM.historyBackBtn.addEventListener('click', leaveHistory);
+    }
+    if (DOM.clearHistoryBtn) {
+        DOM.clearHistoryBtn.addEventListener('click', clearHistory);
+    }
+    if (DOM.historyList) {
+        DOM.historyList.addEventListener('click', handleHistoryListClick);
+    }
 }
 
 function initKeyboardNavigation() {
@@ -267,6 +333,13 @@ function initKeyboardNavigation() {
 
         // Arrow keys for answer navigation (when in quiz)
         if (DOM.quizScreen.classList.contains('active')) {
+            // Backspace revisits the previous question
+            if (e.key === 'Backspace') {
+                e.preventDefault();
+                goToPreviousQuestion();
+                return;
+            }
+
             const answers = Array.from(document.querySelectorAll('.answer-btn'));
             const currentIndex = answers.findIndex(btn => btn === document.activeElement);
 
@@ -309,7 +382,11 @@ function showScreen(screen) {
 // QUIZ FLOW
 // ============================================
 
-function startQuiz() {
+/**
+ * Starts a new quiz. Adaptive mode follows the welcome-screen toggle unless
+ * a mode is passed (the balanced result offers the full question set).
+ */
+function startQuiz(options = {}) {
     if (!QuizState.quizData) {
         showError('Quiz data not loaded. Please refresh the page.');
         return;
@@ -317,23 +394,27 @@ function startQuiz() {
 
     clearSharedResultContext();
 
+    // Starting fresh replaces any earlier saved session
+    clearSavedProgress();
+    hideResumePrompt();
+
     // Reset state
+    QuizState.adaptive = typeof options.adaptive === 'boolean'
+        ? options.adaptive
+        : Boolean(DOM.adaptiveToggle?.checked);
+    QuizState.questionOrder = QuizState.adaptive
+        ? []
+        : QuizState.quizData.questions.map((_, index) => index);
     QuizState.currentQuestionIndex = 0;
     QuizState.responses = [];
+    if (QuizState.adaptive) {
+        chooseNextAdaptiveQuestion();
+    }
+    QuizState.isAdvancing = false;
     QuizState.scoringResult = null;
     QuizState.sharedResultMode = false;
     QuizState.lastArchetypeId = null;
 
-    // Reset scores
-    Object.keys(QuizState.scores).forEach(key => {
-        QuizState.scores[key] = 0;
-    });
-
-    // Reset dimensional scores
-    Object.keys(QuizState.dimensionalScores).forEach(key => {
-        QuizState.dimensionalScores[key] = 0;
-    });
-
     // Show quiz screen
     showScreen(DOM.quizScreen);
 
@@ -341,8 +422,38 @@ function startQuiz() {
     displayQuestion();
 }
 
+function getCurrentQuestion() {
+    return QuizState.quizData.questions[QuizState.questionOrder[QuizState.currentQuestionIndex]];
+}
+
+/**
+ * Appends the engine's pick for the next adaptive question to the order.
+ *
+ * @returns {boolean} False when the engine has no further question to ask
+ */
+function chooseNextAdaptiveQuestion() {
+    const { questions } = QuizState.quizData;
+    const { question } = selectNextQuestion(questions, QuizState.responses.filter(Boolean));
+    if (!question) return false;
+
+    QuizState.questionOrder.push(questions.indexOf(question));
+    return true;
+}
+
+/**
+ * Questions a result is scored against: in adaptive mode only those asked,
+ * since normalization and dimension ranges over questions never asked
+ * would compress the scores of a quiz that stopped early.
+ *
+ * @returns {Array<Object>} Question objects
+ */
+function getScoredQuestions() {
+    const { questions } = QuizState.quizData;
+    return QuizState.adaptive ? QuizState.questionOrder.map(index => questions[index]) : questions;
+}
+
 function displayQuestion() {
-    const question = QuizState.quizData.questions[QuizState.currentQuestionIndex];
+    const question = getCurrentQuestion();
 
     if (!question) {
         console.error('Question not found');
@@ -355,65 +466,79 @@ function displayQuestion() {
     // Update question text
     DOM.questionText.textContent = question.text;
 
+    // Previous control is only useful once there is something to revisit
+    if (DOM.prevBtn) {
+        DOM.prevBtn.disabled = QuizState.currentQuestionIndex === 0;
+    }
+
     // Clear previous answers
     DOM.answersContainer.innerHTML = '';
 
+    // Restore the prior selection when revisiting an answered question
+    const priorAnswerId = QuizState.responses[QuizState.currentQuestionIndex]?.answerId ?? null;
+    const priorIndex = question.answers.findIndex(answer => answer.id === priorAnswerId);
+
     // Create answer buttons
     question.answers.forEach((answer, index) => {
+        const isSelected = index === priorIndex;
         const button = document.createElement('button');
-        button.className = 'answer-btn';
+        button.className = isSelected ? 'answer-btn selected' : 'answer-btn';
         button.textContent = answer.text;
+        button.dataset.answerId = answer.id;
         button.setAttribute('role', 'radio');
-        button.setAttribute('aria-checked', 'false');
-        button.setAttribute('tabindex', index === 0 ? '0' : '-1');
+        button.setAttribute('aria-checked', isSelected ? 'true' : 'false');
+        button.setAttribute('tabindex', index === Math.max(priorIndex, 0) ? '0' : '-1');
 
         button.addEventListener('click', () => selectAnswer(answer));
 
         DOM.answersContainer.appendChild(button);
     });
 
-    // Focus first answer
+    // Focus the prior selection, or the first answer
     setTimeout(() => {
-        const firstAnswer = DOM.answersContainer.querySelector('.answer-btn');
-        if (firstAnswer) firstAnswer.focus();
+        const initialAnswer = DOM.answersContainer.querySelector('.answer-btn.selected')
+            || DOM.answersContainer.querySelector('.answer-btn');
+        if (initialAnswer) initialAnswer.focus();
     }, 100);
 }
 
 function selectAnswer(answer) {
-    // Store response
-    const question = QuizState.quizData.questions[QuizState.currentQuestionIndex];
-    QuizState.responses.push({
-        questionId: question.id,
-        answerId: answer.id,
-    });
-
-    // Update archetype scores
-    if (answer.archetypeScores) {
-        Object.entries(answer.archetypeScores).forEach(([archetypeId, score]) => {
-            QuizState.scores[archetypeId] = (QuizState.scores[archetypeId] || 0) + score;
-        });
+    // Ignore further clicks while the transition to the next question runs
+    if (QuizState.isAdvancing) return;
+    QuizState.isAdvancing = true;
+
+    // Store response, replacing any earlier answer to this question
+    const question = getCurrentQuestion();
+    const step = QuizState.currentQuestionIndex;
+
+    // A changed adaptive answer invalidates the questions chosen after it
+    if (QuizState.adaptive && QuizState.responses[step]?.answerId !== answer.id) {
+        QuizState.questionOrder.length = step + 1;
+        QuizState.responses.length = step;
     }
 
-    // Update dimensional scores
-    if (answer.dimensionScores) {
-        Object.entries(answer.dimensionScores).forEach(([dimension, score]) => {
-            QuizState.dimensionalScores[dimension] = (QuizState.dimensionalScores[dimension] || 0) + score;
-        });
-    }
+    QuizState.responses[step] = {
+        questionId: question.id,
+        answerId: answer.id,
+    };
 
     // Visual feedback
     const buttons = document.querySelectorAll('.answer-btn');
     buttons.forEach(btn => {
-        if (btn.textContent === answer.text) {
-            btn.classList.add('selected');
-        }
+        const isSelected = btn.dataset.answerId === answer.id;
+        btn.classList.toggle('selected', isSelected);
+        btn.setAttribute('aria-checked', isSelected ? 'true' : 'false');
     });
 
     // Proceed to next question or results
     setTimeout(() => {
+        QuizState.isAdvancing = false;
         QuizState.currentQuestionIndex++;
 
-        if (QuizState.currentQuestionIndex < QuizState.quizData.questions.length) {
+        const hasNext = QuizState.currentQuestionIndex < QuizState.questionOrder.length
+            || (QuizState.adaptive && chooseNextAdaptiveQuestion());
+        if (hasNext) {
+            saveProgress();
             displayQuestion();
         } else {
             showResults();
@@ -421,7 +546,16 @@ function selectAnswer(answer) {
     }, 400);
 }
 
+function goToPreviousQuestion() {
+    if (QuizState.isAdvancing || QuizState.currentQuestionIndex === 0) return;
+
+    QuizState.currentQuestionIndex--;
+    saveProgress();
+    displayQuestion();
+}
+
 function updateProgress() {
+    // Adaptive quizzes can stop early, so their total is only an upper bound
     const total = QuizState.quizData.questions.length;
     const current = QuizState.currentQuestionIndex + 1;
     const percentage = (current / total) * 100;
@@ -433,7 +567,178 @@ function updateProgress() {
     const totalSpan = DOM.progressText.querySelector('.total-questions');
 
     if (currentSpan) currentSpan.textContent = current;
-    if (totalSpan) totalSpan.textContent = total;
+    if (totalSpan) totalSpan.textContent = QuizState.adaptive ? `up to ${total}` : total;
+}
+
+// ============================================
+// PROGRESS PERSISTENCE (OPT-IN, LOCAL ONLY)
+// ============================================
+
+function getLocalStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        // Storage can be blocked entirely (private modes, strict privacy settings)
+        return null;
+    }
+}
+
+function getQuizDataVersion() {
+    return QuizState.quizData?.metadata?.version ?? null;
+}
+
+function handleSaveProgressToggle(event) {
+    QuizState.saveProgress = Boolean(event.target.checked);
+
+    if (!QuizState.saveProgress) {
+        clearSavedProgress();
+        hideResumePrompt();
+    }
+}
+
+/**
+ * Writes the current position, question order and responses to localStorage.
+ * Only runs when the user has opted in; the payload is tied to the
+ * question bank version so a changed bank can't be resumed against.
+ */
+function saveProgress() {
+    if (!QuizState.saveProgress || !QuizState.quizData) return;
+
+    const storage = getLocalStorage();
+    if (!storage) return;
+
+    const payload = {
+        schema: PROGRESS_SCHEMA_VERSION,
+        quizVersion: getQuizDataVersion(),
+        savedAt: Date.now(),
+        adaptive: QuizState.adaptive,
+        currentQuestionIndex: QuizState.currentQuestionIndex,
+        questionOrder: QuizState.questionOrder,
+        responses: QuizState.responses
+    };
+
+    try {
+        storage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(payload));
+    } catch (error) {
+        console.error('Unable to save quiz progress:', error);
+    }
+}
+
+/**
+ * Reads saved progress, discarding anything that no longer matches the
+ * loaded question bank.
+ *
+ * @returns {Object|null} Saved progress or null when none is usable
+ */
+function loadSavedProgress() {
+    const storage = getLocalStorage();
+    if (!storage || !QuizState.quizData) return null;
+
+    let saved;
+    try {
+        saved = JSON.parse(storage.getItem(PROGRESS_STORAGE_KEY));
+    } catch (error) {
+        console.error('Unable to read saved quiz progress:', error);
+        clearSavedProgress();
+        return null;
+    }
+
+    if (!saved) return null;
+
+    const questions = QuizState.quizData.questions;
+    const order = saved.questionOrder;
+    const isCurrent = saved.schema === PROGRESS_SCHEMA_VERSION
+        && saved.quizVersion === getQuizDataVersion()
+        && typeof saved.adaptive === 'boolean'
+        && Array.isArray(order)
+        && order.length <= questions.length
+        && new Set(order).size === order.length
+        && order.every(index => Number.isInteger(index) && index >= 0 && index < questions.length)
+        && Array.isArray(saved.responses)
+        && Number.isInteger(saved.currentQuestionIndex)
+        && saved.currentQuestionIndex >= 0
+        && saved.currentQuestionIndex < order.length
+        && saved.currentQuestionIndex <= saved.responses.length
+        && saved.responses.length <= order.length
+        && saved.responses.every((response, index) =>
+            response?.questionId === questions[order[index]].id
+            && questions[order[index]].answers.some(answer => answer.id === response.answerId));
+
+    if (!isCurrent) {
+        clearSavedProgress();
+        return null;
+    }
+
+    return saved;
+}
+
+function clearSavedProgress() {
+    const storage = getLocalStorage();
+    if (!storage) return;
+
+    try {
+        storage.removeItem(PROGRESS_STORAGE_KEY);
+    } catch (error) {
+        console.error('Unable to clear saved quiz progress:', error);
+    }
+}
+
+function offerSavedProgress() {
+    const saved = loadSavedProgress();
+    if (!saved || !DOM.resumePrompt) return;
+
+    // Saved progress only exists if the user opted in last time
+    QuizState.saveProgress = true;
+    if (DOM.saveProgressToggle) {
+        DOM.saveProgressToggle.checked = true;
+    }
+
+    if (DOM.resumeMeta) {
+        const total = QuizState.quizData.questions.length;
+        const savedAt = new Date(saved.savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+        const answered = saved.adaptive
+            ? `${saved.responses.length} questions answered in the shorter quiz`
+            : `${saved.responses.length} of ${total} questions answered`;
+        DOM.resumeMeta.textContent = `${answered}, saved ${savedAt}.`;
+    }
+
+    DOM.resumePrompt.removeAttribute('hidden');
+}
+
+function hideResumePrompt() {
+    if (DOM.resumePrompt) {
+        DOM.resumePrompt.setAttribute('hidden', '');
+    }
+}
+
+function resumeQuiz() {
+    const saved = loadSavedProgress();
+    if (!saved) {
+        hideResumePrompt();
+        showNotification('Your saved progress is no longer available.');
+        return;
+    }
+
+    clearSharedResultContext();
+    hideResumePrompt();
+
+    QuizState.adaptive = saved.adaptive;
+    QuizState.questionOrder = [...saved.questionOrder];
+    QuizState.currentQuestionIndex = saved.currentQuestionIndex;
+    QuizState.responses = saved.responses.map(({ questionId, answerId }) => ({ questionId, answerId }));
+    QuizState.isAdvancing = false;
+    QuizState.scoringResult = null;
+    QuizState.sharedResultMode = false;
+    QuizState.lastArchetypeId = null;
+
+    showScreen(DOM.quizScreen);
+    displayQuestion();
+}
+
+function discardSavedProgress() {
+    clearSavedProgress();
+    hideResumePrompt();
+    showNotification('Saved progress cleared from this device.');
 }
 
 // ============================================
@@ -451,13 +756,18 @@ function showResults() {
 
     QuizState.sharedResultMode = false;
 
+    // A finished quiz has nothing left to resume
+    clearSavedProgress();
+
     // Display results
     displayArchetypeResult(dominantArchetype);
 
     // Persist snapshot for sharing/exporting and clear any hash-based context
-    persistResultSnapshot(dominantArchetype);
+    QuizState.ownResultSnapshot = persistResultSnapshot(dominantArchetype);
+    clearComparison();
     history.replaceState(null, '', window.location.pathname);
     updateSharedResultBanner(null);
+    updateHistoryControls();
 
     // Show results screen
     showScreen(DOM.resultsScreen);
@@ -476,24 +786,23 @@ function showResults() {
 function calculateDominantArchetype() {
     // Use scoring-engine's scoreQuiz function for sophisticated archetype determination
     const result = scoreQuiz(
-        QuizState.quizData.questions,
+        getScoredQuestions(),
         QuizState.responses,
         {
             tieTolerance: 0.05,
             breakTiesWithTraits: true,
-            includeVisualizations: false  // We handle visualization separately for dimensional analysis
+            includeVisualizations: false  // The all-archetypes chart uses result.probabilities
         }
     );
 
-    // Log tie information if detected (for debugging)
-    if (result.hasTie) {
-        console.log('Tie detected between:', result.dominantArchetypes);
-        console.log('Resolved to:', result.primary, 'using trait-based similarity');
-        console.log('Confidence:', result.confidence.level, `(${(result.confidence.score * 100).toFixed(1)}%)`);
-    }
-
     // Store the full result for potential use in results display
     QuizState.scoringResult = result;
+    QuizState.dimensionScores = Object.fromEntries(
+        Object.entries(result.dimensions).map(([id, { normalized }]) => [id, normalized])
+    );
+    QuizState.dimensionBands = Object.fromEntries(
+        Object.entries(result.dimensions).map(([id, { band, answered }]) => [id, { ...band, answered }])
+    );
 
     // Find and return archetype data for the primary (dominant) archetype
     const dominantArchetype = QuizState.quizData.archetypes.find(a => a.id === result.primary);
@@ -509,49 +818,309 @@ function calculateDominantArchetype() {
 function displayArchetypeResult(archetype) {
     QuizState.lastArchetypeId = archetype.id;
 
+    const balanced = getDisplayedBalance();
+    const balancedContent = balanced ? QuizState.quizData.balancedResult : null;
+    const isBalanced = Boolean(balancedContent);
+
+    const blend = isBalanced ? null : getDisplayedBlend();
+    const blendMembers = blend
+        ? blend.archetypes.map(({ archetypeId, weight }) => ({ archetype: getArchetypeById(archetypeId), weight }))
+            .filter(member => member.archetype)
+        : [];
+    const isBlended = blendMembers.length > 1;
+
+    // Family first, then the archetype within it
+    const family = displayResultFamily(archetype, isBalanced);
+
     // Name
-    DOM.archetypeName.textContent = archetype.name;
+    if (isBalanced) {
+        DOM.resultsLabel.textContent = 'Your answers show';
+    } else if (isBlended) {
+        DOM.resultsLabel.textContent = family ? 'Within it, a blend of' : 'Your answers point to a blend of';
+    } else {
+        DOM.resultsLabel.textContent = family ? 'Within it, your archetype is' : 'Your archetype is';
+    }
+    DOM.archetypeName.textContent = isBalanced
+        ? balancedContent.name
+        : (isBlended ? blendMembers.map(member => member.archetype.name).join(' + ') : archetype.name);
 
     // Image/Visual (placeholder for now)
+    const emoji = isBalanced
+        ? BALANCED_RESULT_EMOJI
+        : (isBlended
+            ? blendMembers.map(member => getArchetypeEmoji(member.archetype.id)).join(' ')
+            : getArchetypeEmoji(archetype.id));
     DOM.archetypeImage.innerHTML = `
         <svg width="200" height="200" viewBox="0 0 200 200" aria-hidden="true">
             <circle cx="100" cy="100" r="80" fill="rgba(198, 123, 92, 0.2)" stroke="rgba(198, 123, 92, 0.6)" stroke-width="2"/>
-            <text x="100" y="110" text-anchor="middle" font-size="48" fill="rgba(44, 36, 26, 0.8)">
-                ${getArchetypeEmoji(archetype.id)}
+            <text x="100" y="110" text-anchor="middle" font-size="${isBlended ? 32 : 48}" fill="rgba(44, 36, 26, 0.8)">
+                ${emoji}
             </text>
         </svg>
     `;
 
-    // Meme caption
-    DOM.archetypeMeme.textContent = `"${archetype.meme}"`;
+    // Meme caption (a single archetype's meme would overstate a blend)
+    DOM.archetypeMeme.textContent = `"${isBalanced ? balancedContent.meme : archetype.meme}"`;
+    DOM.archetypeMeme.hidden = isBlended || (isBalanced && !balancedContent.meme);
 
-    // Description
-    DOM.archetypeDescription.innerHTML = `
-        <p>${archetype.description}</p>
-        ${archetype.extendedDescription ? `<p>${archetype.extendedDescription}</p>` : ''}
-    `;
+    if (isBalanced) {
+        displayBalancedDescription(balanced, balancedContent);
+        displayBalancedContenders(balanced, archetype);
+    } else if (isBlended) {
+        displayBlendDescription(blend, blendMembers);
+        displayBlendTraits(blendMembers);
+    } else {
+        // Description
+        DOM.archetypeDescription.innerHTML = `
+            <p>${archetype.description}</p>
+            ${archetype.extendedDescription ? `<p>${archetype.extendedDescription}</p>` : ''}
+        `;
+
+        // Traits
+        displayTraits(archetype.traits);
+    }
+
+    // Written profile drawing the result together
+    displayResultNarrative(archetype, isBalanced);
+
+    // How many single-answer changes would alter the result (own results only)
+    displayResultStability();
 
-    // Traits
-    displayTraits(archetype.traits);
+    // Full archetype distribution (own results only; shared links carry top matches)
+    displayScoreDistribution(QuizState.scoringResult);
+
+    // Answers behind the result (needs the user's own responses)
+    displayResultExplanation(archetype);
 
     // Dimensional Analysis
     displayDimensionalAnalysis(archetype);
+
+    // Six-trait profile against the primary archetype
+    displayTraitRadar(archetype);
 }
 
-function displayTraits(traits) {
-    const traitLabels = {
-        awareness: { label: 'Awareness', icon: 'ph-eye' },
-        affect: { label: 'Affect', icon: 'ph-heart' },
-        agency: { label: 'Agency', icon: 'ph-hand-fist' },
-        temporality: { label: 'Temporality', icon: 'ph-clock-clockwise' },
-        relationality: { label: 'Relationality', icon: 'ph-users' },
-        posture: { label: 'Posture', icon: 'ph-compass' },
-    };
+/**
+ * Leads the result with the primary archetype's family, and returns it.
+ * Own results say how much of the match probability the family holds, and
+ * note when another family holds more; balanced results name no archetype,
+ * so they show that leading family instead, or nothing for shared links.
+ */
+function displayResultFamily(archetype, isBalanced) {
+    const container = document.getElementById('resultFamily');
+    if (!container) return null;
+
+    const families = QuizState.sharedResultMode ? null : QuizState.scoringResult?.families;
+    const family = isBalanced
+        ? getFamilyById(families?.leading)
+        : getFamilyById(families?.primary) || getFamilyOfArchetype(archetype.id);
+
+    if (!family) {
+        container.setAttribute('hidden', '');
+        return null;
+    }
+
+    document.getElementById('resultFamilyLabel').textContent = isBalanced
+        ? 'Your answers lean toward the family'
+        : 'Your family is';
+    document.getElementById('resultFamilyName').textContent = family.name;
+
+    let description = family.description;
+    if (families) {
+        const share = Math.round((families.distribution[family.id] || 0) * 100);
+        description += ` It holds ${share}% of your match probability.`;
+
+        const leading = getFamilyById(families.leading);
+        if (!isBalanced && leading && leading.id !== family.id) {
+            const leadingShare = Math.round(families.distribution[leading.id] * 100);
+            description += ` The ${leading.name} family holds more in total (${leadingShare}%), spread across several of its archetypes.`;
+        }
+    }
+    document.getElementById('resultFamilyDescription').textContent = description;
+
+    container.removeAttribute('hidden');
+    return family;
+}
+
+/**
+ * Writes the result up as a few paragraphs from the narrative templates:
+ * the archetype, standout dimensions, tensions between them, runners-up
+ * and a closing note, each pitched to the match confidence.
+ */
+function displayResultNarrative(archetype, isBalanced) {
+    const container = document.getElementById('resultNarrative');
+    const body = document.getElementById('resultNarrativeBody');
+    if (!container || !body) return;
+
+    // A result with no points at all has no archetype to write about
+    const templates = QuizState.narrativeTemplates;
+    if (!templates || getDisplayedBalance()?.reason === 'none') {
+        container.setAttribute('hidden', '');
+        return;
+    }
+
+    // Balanced results already list their closest archetypes
+    const runnerUpNames = isBalanced
+        ? []
+        : getRunnerUpIds(archetype.id, 2).map(id => getArchetypeById(id)?.name).filter(Boolean);
+
+    const paragraphs = buildNarrative(templates, {
+        archetype,
+        confidenceLevel: getDisplayedConfidenceLevel(),
+        balanced: isBalanced,
+        dimensions: QuizState.quizData.metadata.dimensions,
+        dimensionScores: QuizState.dimensionScores,
+        runnerUpNames
+    });
+
+    body.replaceChildren(...paragraphs.map(text => {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = text;
+        return paragraph;
+    }));
+    container.removeAttribute('hidden');
+}
+
+/**
+ * The engine's confidence level for the displayed result. Shared snapshots
+ * keep only a coarse label, so their level is worked out from the score.
+ */
+function getDisplayedConfidenceLevel() {
+    if (!QuizState.sharedResultMode) {
+        return QuizState.scoringResult?.confidence?.level || null;
+    }
+
+    const confidence = QuizState.lastResultSnapshot?.confidence;
+    if (typeof confidence?.score !== 'number') {
+        return confidence?.level ? confidence.level.toUpperCase() : null;
+    }
+    if (confidence.score >= CONFIDENCE_THRESHOLDS.STRONG) return 'STRONG';
+    if (confidence.score >= CONFIDENCE_THRESHOLDS.MODERATE) return 'MODERATE';
+    return 'WEAK';
+}
+
+/**
+ * One-line stability statement: the share of single-answer changes that keep
+ * the primary archetype, and the questions that could flip it on their own.
+ */
+function displayResultStability() {
+    const note = document.getElementById('resultStability');
+    if (!note) return;
+
+    const responses = QuizState.responses.filter(Boolean);
+    if (QuizState.sharedResultMode || !QuizState.scoringResult || !responses.length) {
+        note.setAttribute('hidden', '');
+        note.textContent = '';
+        return;
+    }
+
+    const { questions } = QuizState.quizData;
+    const stability = analyzeResultStability(getScoredQuestions(), responses, {
+        tieTolerance: 0.05,
+        breakTiesWithTraits: true
+    });
+    const pivotal = stability.pivotalQuestions
+        .map(({ questionId }) => `Q${questions.findIndex(q => q.id === questionId) + 1}`);
+    const percent = Math.round(stability.swaps.stability * 100);
+
+    if (!pivotal.length) {
+        note.textContent = 'Stable result: changing any single answer would not change your primary archetype.';
+    } else {
+        const label = percent >= 90 ? 'Stable result' : (percent >= 70 ? 'Fairly stable result' : 'Fragile result');
+        const questionList = pivotal.length > 5
+            ? `${pivotal.slice(0, 5).join(', ')} and ${pivotal.length - 5} more`
+            : pivotal.join(', ');
+        note.textContent = `${label}: ${percent}% of single-answer changes keep your primary archetype. ` +
+            `${pivotal.length === 1 ? 'One question' : `${pivotal.length} questions`} could change it on ${pivotal.length === 1 ? 'its' : 'their'} own (${questionList}).`;
+    }
+
+    note.removeAttribute('hidden');
+}
+
+/**
+ * Renders a ranked bar chart of the probability that each archetype fits,
+ * with entropy summarized as how mixed the result is. Co-dominant
+ * archetypes (within tie tolerance of the top score) are highlighted, and
+ * each bar links to that archetype's detail page.
+ */
+function displayScoreDistribution(scoringResult) {
+    const section = document.getElementById('scoreDistribution');
+    const list = document.getElementById('scoreDistributionList');
+    const entropyNote = document.getElementById('scoreDistributionEntropy');
+    if (!section || !list) return;
+
+    const probabilities = scoringResult?.probabilities;
+    const distribution = Object.entries(probabilities?.distribution || {})
+        .map(([archetypeId, probability]) => ({ archetypeId, percentage: probability * 100 }))
+        .sort((a, b) => b.percentage - a.percentage || a.archetypeId.localeCompare(b.archetypeId));
+    if (!distribution.length) {
+        section.setAttribute('hidden', '');
+        list.innerHTML = '';
+        return;
+    }
 
+    const dominant = new Set(scoringResult.dominantArchetypes || []);
+    const topPercentage = distribution[0].percentage || 1;
+
+    list.innerHTML = distribution.map(({ archetypeId, percentage }) => {
+        const archetype = getArchetypeById(archetypeId);
+        const name = archetype?.name || archetypeId;
+        const isPrimary = archetypeId === scoringResult.primary;
+        const isDominant = dominant.has(archetypeId);
+        const badge = isPrimary
+            ? '<span class="distribution-badge">Primary</span>'
+            : (isDominant ? '<span class="distribution-badge">Co-dominant</span>' : '');
+        // Bars are scaled to the leader so small differences stay visible
+        const width = clampNumber((percentage / topPercentage) * 100, 0, 100);
+
+        return `
+            <li class="distribution-row${isDominant ? ' is-dominant' : ''}">
+                <a href="archetypes/archetype.html?id=${archetypeId}" class="distribution-name" aria-label="${name}: ${percentage.toFixed(1)}% probability. View archetype details">
+                    ${name}${badge}
+                </a>
+                <div class="distribution-bar" aria-hidden="true">
+                    <div class="distribution-fill" style="width: ${width}%"></div>
+                </div>
+                <span class="distribution-value">${percentage.toFixed(1)}%</span>
+            </li>
+        `;
+    }).join('');
+
+    if (entropyNote) {
+        entropyNote.textContent = describeMixedness(probabilities.normalizedEntropy);
+    }
+
+    section.removeAttribute('hidden');
+}
+
+/**
+ * Plain-language reading of normalized entropy (0 = one archetype,
+ * 1 = evenly spread across all of them).
+ */
+function describeMixedness(normalizedEntropy) {
+    const percent = Math.round(clampNumber(normalizedEntropy, 0, 1) * 100);
+    if (normalizedEntropy < 0.35) {
+        return `Mixedness ${percent}%: your answers point mostly to one archetype.`;
+    }
+    if (normalizedEntropy < 0.65) {
+        return `Mixedness ${percent}%: a clear lead, with a few other archetypes in the picture.`;
+    }
+    return `Mixedness ${percent}%: your answers spread across many archetypes.`;
+}
+
+const TRAIT_DISPLAY_LABELS = {
+    awareness: { label: 'Awareness', icon: 'ph-eye' },
+    affect: { label: 'Affect', icon: 'ph-heart' },
+    agency: { label: 'Agency', icon: 'ph-hand-fist' },
+    temporality: { label: 'Temporality', icon: 'ph-clock-clockwise' },
+    relationality: { label: 'Relationality', icon: 'ph-users' },
+    posture: { label: 'Posture', icon: 'ph-compass' },
+};
+
+function displayTraits(traits) {
     let html = '<p class="trait-label">Dimensional Profile</p><div class="trait-grid">';
 
     Object.entries(traits).forEach(([key, value]) => {
-        const traitInfo = traitLabels[key] || { label: key, icon: 'ph-circle' };
+        const traitInfo = TRAIT_DISPLAY_LABELS[key] || { label: key, icon: 'ph-circle' };
         html += `
             <div class="trait-item">
                 <i class="ph ${traitInfo.icon}"></i>
@@ -565,28 +1134,262 @@ function displayTraits(traits) {
     DOM.archetypeTraits.innerHTML = html;
 }
 
-function normalizeDimensionalScores(rawScores = {}) {
-    const maxPossible = 60; // Maximum positive displacement per dimension
-    const normalized = {};
-    const dimensionIds = (QuizState.quizData?.metadata?.dimensions || [])
-        .map(d => d.id);
-    const fallbackIds = Object.keys(QuizState.dimensionalScores);
-    const idsToUse = dimensionIds.length ? dimensionIds : fallbackIds;
+// ============================================
+// BLENDED RESULTS
+// ============================================
 
-    idsToUse.forEach(dim => {
-        const score = rawScores[dim] ?? 0;
-        normalized[dim] = ((score + maxPossible) / (maxPossible * 2)) * 100;
+/**
+ * Returns the blend behind the displayed result, if any: the engine's blend
+ * for a completed quiz, or the decoded blend carried by a shared snapshot.
+ */
+function getDisplayedBlend() {
+    return QuizState.sharedResultMode
+        ? QuizState.lastResultSnapshot?.blend || null
+        : QuizState.scoringResult?.blend || null;
+}
+
+/**
+ * Plain statement of why no single archetype is given. Ties and weak leads
+ * are worded separately; the weak case quotes the actual lead.
+ */
+function describeBlendUncertainty(blend, blendMembers) {
+    const [leader, runnerUp] = blendMembers.map(member => member.archetype.name);
+    const threshold = Math.round(CONFIDENCE_THRESHOLDS.MODERATE * 100);
+    const confidence = QuizState.sharedResultMode
+        ? QuizState.lastResultSnapshot?.confidence
+        : QuizState.scoringResult?.confidence;
+
+    if (blend.reason === 'tie') {
+        return `Your answers scored ${leader} and ${runnerUp} effectively level, so no single archetype describes you better than the others. Read this as a blend rather than a verdict.`;
+    }
+
+    const lead = typeof confidence?.score === 'number'
+        ? `only ${Math.round(confidence.score * 100)}%`
+        : 'only narrowly';
+    return `${leader} leads ${runnerUp} by ${lead}, short of the ${threshold}% separation needed to name one archetype with confidence. Read this as a blend rather than a verdict; a few different answers could reorder it.`;
+}
+
+function displayBlendDescription(blend, blendMembers) {
+    DOM.archetypeDescription.innerHTML = `
+        <p class="blend-uncertainty">
+            <i class="ph ph-info" aria-hidden="true"></i>
+            ${describeBlendUncertainty(blend, blendMembers)}
+        </p>
+        <div class="blend-members">
+            ${blendMembers.map(({ archetype, weight }) => `
+                <div class="blend-member">
+                    <h2 class="blend-member-name">
+                        <a href="archetypes/archetype.html?id=${archetype.id}">${archetype.name}</a>
+                        <span class="blend-member-weight">${Math.round(weight * 100)}% of the blend</span>
+                    </h2>
+                    <p>${archetype.description}</p>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Splits the members' trait labels into those every member shares and
+ * those where they diverge.
+ */
+function displayBlendTraits(blendMembers) {
+    const traitKeys = Object.keys(blendMembers[0].archetype.traits || {});
+    const shared = [];
+    const divergent = [];
+
+    traitKeys.forEach(key => {
+        const values = blendMembers.map(member => member.archetype.traits?.[key]);
+        const traitInfo = TRAIT_DISPLAY_LABELS[key] || { label: key, icon: 'ph-circle' };
+        if (values.every(value => value === values[0])) {
+            shared.push({ traitInfo, value: values[0] });
+        } else {
+            divergent.push({ traitInfo, values });
+        }
     });
 
-    return normalized;
+    let html = '<p class="trait-label">Where They Agree</p>';
+    html += shared.length
+        ? `<div class="trait-grid">${shared.map(({ traitInfo, value }) => `
+            <div class="trait-item">
+                <i class="ph ${traitInfo.icon}"></i>
+                <strong>${traitInfo.label}:</strong> ${value}
+            </div>
+        `).join('')}</div>`
+        : '<p class="blend-traits-empty">These archetypes share no traits outright.</p>';
+
+    if (divergent.length) {
+        html += `
+            <p class="trait-label">Where They Pull Apart</p>
+            <ul class="blend-divergent-list">
+                ${divergent.map(({ traitInfo, values }) => `
+                    <li>
+                        <i class="ph ${traitInfo.icon}" aria-hidden="true"></i>
+                        <strong>${traitInfo.label}:</strong>
+                        ${values.map((value, index) => `${value} <span class="blend-divergent-source">(${blendMembers[index].archetype.name})</span>`).join(' · ')}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    DOM.archetypeTraits.innerHTML = html;
 }
 
-function buildSnapshotData(archetype, scoringResult, dimensionalScores, options = {}) {
+// ============================================
+// BALANCED RESULTS
+// ============================================
+
+const BALANCED_RESULT_EMOJI = '⚖️';
+
+// Distance from the midpoint (50) before a dimension counts as pronounced
+const BALANCED_DIMENSION_MARGIN = 20;
+
+/**
+ * Returns the balanced flag behind the displayed result as
+ * {reason, contenderCount}: the engine's flag for a completed quiz, or the
+ * decoded flag carried by a shared snapshot.
+ */
+function getDisplayedBalance() {
+    if (QuizState.sharedResultMode) {
+        return QuizState.lastResultSnapshot?.balanced || null;
+    }
+    const balanced = QuizState.scoringResult?.balanced;
+    return balanced ? decodeBalance(encodeBalance(balanced)) : null;
+}
+
+function describeBalance(balanced) {
+    const threshold = Math.round(CONFIDENCE_THRESHOLDS.MODERATE * 100);
+
+    if (balanced.reason === 'none') {
+        return 'None of your answers pointed to any archetype in particular.';
+    }
+    if (balanced.reason === 'flat') {
+        return 'Every archetype scored the same, so there is no leader to name.';
+    }
+    const count = balanced.contenderCount ? `${balanced.contenderCount} archetypes` : 'Several archetypes';
+    return `${count} scored within ${threshold}% of the top score. That is too close to call, and too many to read as a blend.`;
+}
+
+/**
+ * The dimensional part of a balanced result: the one or two dimensions
+ * furthest from the midpoint, or the content's "even" text when none are.
+ * Dimensions whose uncertainty band straddles the midpoint are left out.
+ */
+function describeBalancedDimensions(content) {
+    const pronounced = QuizState.quizData.metadata.dimensions
+        .map(dimension => ({ dimension, score: QuizState.dimensionScores[dimension.id] ?? 50 }))
+        .filter(({ dimension, score }) => {
+            const band = QuizState.dimensionBands?.[dimension.id];
+            if (band && band.low < 50 && band.high > 50) return false;
+            return Math.abs(score - 50) >= BALANCED_DIMENSION_MARGIN;
+        })
+        .sort((a, b) => Math.abs(b.score - 50) - Math.abs(a.score - 50))
+        .slice(0, 2);
+
+    if (!pronounced.length) {
+        return content.dimensionalEven ? `<p>${content.dimensionalEven}</p>` : '';
+    }
+
+    return `
+        ${content.dimensionalIntro ? `<p>${content.dimensionalIntro}</p>` : ''}
+        <ul class="balanced-dimension-list">
+            ${pronounced.map(({ dimension, score }) => `
+                <li>
+                    <strong>${dimension.name.replace(/ Dimension$/u, '')} (${Math.round(score)}/100):</strong>
+                    ${getDimensionInterpretation(dimension.id, score)}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+function displayBalancedDescription(balanced, content) {
+    // An adaptive quiz that stopped early may not have seen a pattern yet
+    const offerLongerSet = QuizState.adaptive
+        && !QuizState.sharedResultMode
+        && QuizState.responses.length < QuizState.quizData.questions.length
+        && Boolean(content.longerSetPrompt);
+
+    DOM.archetypeDescription.innerHTML = `
+        <p class="blend-uncertainty">
+            <i class="ph ph-info" aria-hidden="true"></i>
+            ${describeBalance(balanced)}
+        </p>
+        <p>${content.description}</p>
+        ${content.extendedDescription ? `<p>${content.extendedDescription}</p>` : ''}
+        <div class="balanced-dimensions">${describeBalancedDimensions(content)}</div>
+        <div class="balanced-retake">
+            <p>${content.retakePrompt}</p>
+            <button type="button" class="btn btn-primary balanced-retake-btn">
+                <i class="ph ph-arrow-counter-clockwise"></i>
+                Retake the Quiz
+            </button>
+        </div>
+        ${offerLongerSet ? `
+            <div class="balanced-retake">
+                <p>${content.longerSetPrompt}</p>
+                <button type="button" class="btn btn-secondary balanced-longer-btn">
+                    <i class="ph ph-list-numbers"></i>
+                    Take All ${QuizState.quizData.questions.length} Questions
+                </button>
+            </div>
+        ` : ''}
+    `;
+
+    DOM.archetypeDescription.querySelector('.balanced-retake-btn')
+        .addEventListener('click', retakeQuiz);
+    DOM.archetypeDescription.querySelector('.balanced-longer-btn')
+        ?.addEventListener('click', () => startQuiz({ adaptive: false }));
+}
+
+/**
+ * Lists the archetypes that came closest, in place of a trait profile
+ * no single archetype owns.
+ */
+function displayBalancedContenders(balanced, archetype) {
+    // With no points scored, no archetype came any closer than another
+    if (balanced.reason === 'none') {
+        DOM.archetypeTraits.innerHTML = '';
+        return;
+    }
+
+    const limit = Math.max(1, (balanced.contenderCount || 5) - 1);
+    const ids = [archetype.id, ...getRunnerUpIds(archetype.id, Math.min(limit, 4))];
+
+    DOM.archetypeTraits.innerHTML = `
+        <p class="trait-label">Closest Archetypes</p>
+        <ul class="balanced-contender-list">
+            ${ids.map(id => {
+                const contender = getArchetypeById(id);
+                return contender ? `
+                    <li>
+                        <span aria-hidden="true">${getArchetypeEmoji(id)}</span>
+                        <a href="archetypes/archetype.html?id=${id}">${contender.name}</a>
+                    </li>
+                ` : '';
+            }).join('')}
+        </ul>
+    `;
+}
+
+/**
+ * Display name for a snapshot's result: the balanced result's name when
+ * it was flagged balanced, otherwise the primary archetype's.
+ */
+function getSnapshotResultName(snapshot) {
+    if (snapshot.balanced && QuizState.quizData?.balancedResult) {
+        return QuizState.quizData.balancedResult.name;
+    }
+    return getArchetypeById(snapshot.primaryId)?.name || snapshot.primaryId;
+}
+
+function buildSnapshotData(archetype, scoringResult, dimensionScores, options = {}) {
     const generatedAt = options.generatedAt ?? Date.now();
     const sharedSource = options.sharedSource ?? null;
 
     const dimensionIds = (QuizState.quizData?.metadata?.dimensions || []).map(d => d.id);
-    const normalizedDimensions = normalizeDimensionalScores(dimensionalScores || {});
+    const normalizedDimensions = dimensionScores || {};
     const dimensionKeys = dimensionIds.length ? dimensionIds : Object.keys(normalizedDimensions);
     const dimensionInts = {};
     dimensionKeys.forEach(id => {
@@ -616,6 +1419,8 @@ function buildSnapshotData(archetype, scoringResult, dimensionalScores, options
     const compactConfidence = encodeConfidence(confidence);
     const traitProfile = scoringResult?.userTraitProfile || null;
     const compactTraits = encodeTraitProfile(traitProfile);
+    const compactBlend = encodeBlend(scoringResult?.blend);
+    const compactBalance = encodeBalance(scoringResult?.balanced);
 
     const questionsAnswered = typeof scoringResult?.questionsAnswered === 'number'
         ? scoringResult.questionsAnswered
@@ -625,7 +1430,7 @@ function buildSnapshotData(archetype, scoringResult, dimensionalScores, options
         : null;
 
     const compact = {
-        v: 2,
+        v: SNAPSHOT_VERSION,
         t: generatedAt,
         p: archetype?.id || null,
         c: compactConfidence,
@@ -639,68 +1444,58 @@ function buildSnapshotData(archetype, scoringResult, dimensionalScores, options
         compact.s = sharedSource;
     }
 
+    if (compactBlend) {
+        compact.b = compactBlend;
+    }
+
+    if (compactBalance) {
+        compact.n = compactBalance;
+    }
+
     const internal = {
-        version: 2,
+        version: SNAPSHOT_VERSION,
         generatedAt,
         primaryId: archetype?.id || null,
         confidence,
         topMatches: topMatches.map(([id, score]) => ({ id, score })),
         dimensions: dimensionInts,
+        dimensionScale: 'range',
         traitProfile: traitProfile || (compactTraits ? decodeTraitProfile(compactTraits) : null),
         questionsAnswered,
         totalQuestions,
         sharedSource,
+        blend: decodeBlend(compactBlend),
+        balanced: decodeBalance(compactBalance),
         _compact: compact
     };
 
     return { internal, compact };
 }
 
+/**
+ * Expands a stored or shared payload of any version, keeping only archetype
+ * ids the quiz knows; share links are untrusted input. Dimension scores from
+ * before v3 are converted to the current range scale, so old links and
+ * history entries line up with new results.
+ */
 function expandSnapshot(rawSnapshot, options = {}) {
     if (!rawSnapshot) return null;
 
-    if (rawSnapshot.v === 2) {
-        const confidence = rawSnapshot.c ? decodeConfidence(rawSnapshot.c) : null;
-        const traitProfile = rawSnapshot.u ? decodeTraitProfile(rawSnapshot.u) : null;
-        const dimensions = {};
-        Object.entries(rawSnapshot.d || {}).forEach(([id, value]) => {
-            dimensions[id] = clampNumber(Math.round(value), 0, 100);
-        });
+    const archetypeIds = (QuizState.quizData?.archetypes || []).map(archetype => archetype.id);
+    const dimensionRanges = QuizState.quizData ? calculateDimensionRanges(QuizState.quizData.questions) : null;
 
-        const topMatches = Array.isArray(rawSnapshot.m)
-            ? rawSnapshot.m.map(item => {
-                if (Array.isArray(item)) {
-                    return { id: item[0], score: clampNumber(item[1], 0, 100) };
-                }
-                return {
-                    id: item.id,
-                    score: clampNumber(item.score, 0, 100)
-                };
-            })
-            : [];
-
-        const [answered, total] = Array.isArray(rawSnapshot.q) ? rawSnapshot.q : [null, null];
-
-        return {
-            version: 2,
-            generatedAt: rawSnapshot.t ?? options.generatedAt ?? Date.now(),
-            primaryId: rawSnapshot.p || null,
-            confidence,
-            topMatches,
-            dimensions,
-            traitProfile,
-            questionsAnswered: typeof answered === 'number' ? answered : null,
-            totalQuestions: typeof total === 'number' ? total : null,
-            sharedSource: rawSnapshot.s ?? options.sharedSource ?? null,
-            _compact: rawSnapshot
-        };
+    if (COMPACT_SNAPSHOT_VERSIONS.includes(rawSnapshot.v)) {
+        return expandCompactSnapshot(rawSnapshot, { ...options, archetypeIds, dimensionRanges });
     }
 
     if (rawSnapshot.version === 1 || rawSnapshot.primary) {
         const archetypeId = rawSnapshot.primary?.id || rawSnapshot.primary;
         const archetype = getArchetypeById(archetypeId) || { id: archetypeId };
 
-        const dimensionalScores = rawSnapshot.dimensions || convertDimensionsToRaw(rawSnapshot.normalizedDimensions || {});
+        // Version 1 kept raw totals, and sometimes their ±60-scale display values
+        const dimensionScores = rawSnapshot.normalizedDimensions
+            ? convertLegacyDimensions(rawSnapshot.normalizedDimensions, dimensionRanges)
+            : rescaleRawDimensions(rawSnapshot.dimensions, dimensionRanges);
         const fauxScoringResult = {
             confidence: rawSnapshot.confidence,
             normalizedScores: rawSnapshot.normalizedScores || {},
@@ -712,30 +1507,33 @@ function expandSnapshot(rawSnapshot, options = {}) {
         const { internal } = buildSnapshotData(
             archetype,
             fauxScoringResult,
-            dimensionalScores,
+            dimensionScores,
             {
                 generatedAt: rawSnapshot.generatedAt ?? Date.now(),
                 sharedSource: rawSnapshot.sharedSource ?? options.sharedSource
             }
         );
 
-        return internal;
+        return dropUnknownArchetypes(internal, archetypeIds);
     }
 
     return null;
 }
+
 function displayDimensionalAnalysis(archetype) {
     const dimensions = QuizState.quizData.metadata.dimensions;
-    const userScores = QuizState.dimensionalScores;
 
-    // Normalize scores to 0-100 scale for visualization
-    const normalizedScores = normalizeDimensionalScores(userScores);
+    // Scores are already 0-100 within each dimension's attainable range
+    const normalizedScores = QuizState.dimensionScores;
+
+    // Uncertainty bands exist only for results scored on this device
+    const bands = QuizState.dimensionBands;
 
     // Render radar chart
-    renderRadarChart(dimensions, normalizedScores);
+    renderRadarChart(dimensions, normalizedScores, null, bands);
 
     // Render dimension cards
-    renderDimensionCards(dimensions, userScores, normalizedScores);
+    renderDimensionCards(dimensions, normalizedScores, bands);
 
     // Display theoretical foundations
     if (archetype.theoreticalFoundations) {
@@ -743,8 +1541,21 @@ function displayDimensionalAnalysis(archetype) {
     }
 }
 
-function renderRadarChart(dimensions, scores) {
+/**
+ * Draws the five-dimension radar. When a comparison is supplied, its
+ * scores are overlaid as a second polygon and the legend lists both.
+ * Otherwise, uncertainty bands are shaded as a ring between each
+ * dimension's low and high values.
+ *
+ * @param {Array<Object>} dimensions - Dimension metadata
+ * @param {Object} scores - Normalized (0-100) scores keyed by dimension id
+ * @param {Object|null} comparison - { scores, labels: { primary, other } }
+ * @param {Object|null} bands - {dimensionId: {low, high}} on the same scale
+ */
+function renderRadarChart(dimensions, scores, comparison = null, bands = null) {
     const radarPolygon = document.getElementById('radarPolygon');
+    const radarBandPath = document.getElementById('radarBandPath');
+    const radarComparePolygon = document.getElementById('radarComparePolygon');
     const radarAxes = document.getElementById('radarAxes');
     const radarLabels = document.getElementById('radarLabels');
     const radarPoints = document.getElementById('radarPoints');
@@ -752,32 +1563,286 @@ function renderRadarChart(dimensions, scores) {
 
     if (!radarPolygon) return;
 
-    const numDimensions = dimensions.length;
-    const angleStep = (Math.PI * 2) / numDimensions;
+    const numDimensions = dimensions.length;
+    const angleStep = (Math.PI * 2) / numDimensions;
+    const radius = 100;
+
+    // Clear previous content
+    radarAxes.innerHTML = '';
+    radarLabels.innerHTML = '';
+    radarPoints.innerHTML = '';
+
+    // Generate polygon points
+    const points = [];
+    const comparePoints = [];
+    const bandOuter = [];
+    const bandInner = [];
+    const labelPositions = [];
+    const showBands = Boolean(bands) && !comparison;
+
+    dimensions.forEach((dimension, index) => {
+        const angle = (index * angleStep) - (Math.PI / 2); // Start from top
+        const score = scores[dimension.id] || 50; // Default to center if missing
+        const distance = (score / 100) * radius;
+
+        const x = Math.cos(angle) * distance;
+        const y = Math.sin(angle) * distance;
+        points.push(`${x},${y}`);
+
+        // Draw axis line
+        const axisX = Math.cos(angle) * radius;
+        const axisY = Math.sin(angle) * radius;
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', '0');
+        line.setAttribute('y1', '0');
+        line.setAttribute('x2', axisX);
+        line.setAttribute('y2', axisY);
+        line.setAttribute('class', 'axis-line');
+        line.setAttribute('stroke', '#d4c4a8');
+        line.setAttribute('stroke-width', '1');
+        line.setAttribute('opacity', '0.3');
+        radarAxes.appendChild(line);
+
+        // Add label
+        const labelDistance = radius + 25;
+        const labelX = Math.cos(angle) * labelDistance;
+        const labelY = Math.sin(angle) * labelDistance;
+
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', labelX);
+        text.setAttribute('y', labelY);
+        text.setAttribute('class', 'dimension-label');
+        text.setAttribute('text-anchor', 'middle');
+        text.setAttribute('dominant-baseline', 'middle');
+        text.setAttribute('fill', 'var(--color-earth-medium)');
+        text.setAttribute('font-size', '12');
+        text.setAttribute('font-weight', '600');
+        text.textContent = dimension.name.replace(' Dimension', '');
+        radarLabels.appendChild(text);
+
+        // Add data point
+        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+        circle.setAttribute('cx', x);
+        circle.setAttribute('cy', y);
+        circle.setAttribute('r', '4');
+        circle.setAttribute('fill', 'var(--color-accent)');
+        circle.setAttribute('class', 'data-point');
+        radarPoints.appendChild(circle);
+
+        // Uncertainty ring
+        const band = showBands ? bands[dimension.id] : null;
+        if (band) {
+            const toPoint = value => `${Math.cos(angle) * (value / 100) * radius},${Math.sin(angle) * (value / 100) * radius}`;
+            bandOuter.push(toPoint(band.high));
+            bandInner.push(toPoint(band.low));
+        }
+
+        // Comparison overlay point
+        const compareScore = comparison ? (comparison.scores?.[dimension.id] ?? 50) : null;
+        if (comparison) {
+            const compareDistance = (compareScore / 100) * radius;
+            comparePoints.push(`${Math.cos(angle) * compareDistance},${Math.sin(angle) * compareDistance}`);
+        }
+
+        labelPositions.push({
+            dimension: dimension.name,
+            score: Math.round(score),
+            band: band ? [Math.round(band.low), Math.round(band.high)] : null,
+            compareScore: compareScore === null ? null : Math.round(compareScore)
+        });
+    });
+
+    // Set polygon points
+    radarPolygon.setAttribute('points', points.join(' '));
+    radarPolygon.setAttribute('fill', 'rgba(198, 123, 92, 0.2)');
+    radarPolygon.setAttribute('stroke', 'var(--color-accent)');
+    radarPolygon.setAttribute('stroke-width', '2');
+
+    if (radarComparePolygon) {
+        radarComparePolygon.setAttribute('points', comparePoints.join(' '));
+    }
+
+    // Outer and inner outlines of one path; evenodd fill leaves the inside clear
+    if (radarBandPath) {
+        const complete = bandOuter.length === numDimensions && numDimensions > 0;
+        radarBandPath.setAttribute('d', complete
+            ? `M${bandOuter.join(' L')} Z M${bandInner.join(' L')} Z`
+            : '');
+    }
+
+    // Render legend (built as nodes: comparison labels can come from share links)
+    const legendList = createTextElement('ul', '', 'legend-list');
+    labelPositions.forEach(item => {
+        const entry = document.createElement('li');
+        entry.append(createTextElement('strong', `${item.dimension}:`), ' ');
+        if (comparison) {
+            entry.append(`${item.score} / ${item.compareScore}`);
+        } else {
+            entry.append(`${item.score}/100`);
+            if (item.band) {
+                entry.append(' ', createTextElement('span', `(likely ${item.band[0]}–${item.band[1]})`, 'legend-range'));
+            }
+        }
+        legendList.append(entry);
+    });
+
+    if (comparison) {
+        const { primary, other } = comparison.labels;
+        const key = createTextElement('p', '', 'legend-key');
+        key.append(
+            createTextElement('span', '', 'legend-swatch legend-swatch-primary'), ` ${primary} `,
+            createTextElement('span', '', 'legend-swatch legend-swatch-compare'), ` ${other}`
+        );
+        radarLegend.replaceChildren(createTextElement('h3', 'Profile Comparison', 'legend-title'), key, legendList);
+        return;
+    }
+
+    radarLegend.replaceChildren(createTextElement('h3', 'Your Scores', 'legend-title'), legendList);
+}
+
+/**
+ * Creates an element whose content is set as text, never parsed as HTML.
+ */
+function createTextElement(tagName, text = '', className = '') {
+    const element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text !== '') element.textContent = text;
+    return element;
+}
+
+/**
+ * Lists, for the primary archetype and the top runner-up, each answered
+ * question that contributed points, how many, and the chosen answer's
+ * theoretical basis. Shared results carry no responses, so the panel hides.
+ */
+function displayResultExplanation(archetype) {
+    const section = document.getElementById('resultExplanation');
+    const content = document.getElementById('explanationContent');
+    if (!section || !content) return;
+
+    if (QuizState.sharedResultMode || !QuizState.scoringResult) {
+        section.setAttribute('hidden', '');
+        content.innerHTML = '';
+        return;
+    }
+
+    const { questions } = QuizState.quizData;
+    const responses = QuizState.responses.filter(Boolean);
+    const formatPoints = points => (Number.isInteger(points) ? points : points.toFixed(1));
+
+    const explained = [archetype.id, ...getRunnerUpIds(archetype.id, 1)];
+    const leaderLabel = getDisplayedBalance() ? 'Highest score' : 'Your archetype';
+
+    content.innerHTML = explained.map((archetypeId, rank) => {
+        const name = getArchetypeById(archetypeId)?.name || archetypeId;
+        const contributions = traceArchetypeContributions(questions, responses, archetypeId);
+        const total = contributions.reduce((sum, item) => sum + item.points, 0);
+
+        const items = contributions.map(({ questionId, answerId, points }) => {
+            const questionIndex = questions.findIndex(q => q.id === questionId);
+            const question = questions[questionIndex];
+            const answer = question.answers.find(a => a.id === answerId);
+
+            return `
+                <li class="explanation-item">
+                    <div class="explanation-item-header">
+                        <span class="explanation-question">Q${questionIndex + 1}. ${question.text}</span>
+                        <span class="explanation-points">+${formatPoints(points)}</span>
+                    </div>
+                    <p class="explanation-answer">You answered: “${answer.text}”</p>
+                    ${answer.theoreticalBasis ? `<p class="explanation-basis">${answer.theoreticalBasis}</p>` : ''}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <details class="explanation-group"${rank === 0 ? ' open' : ''}>
+                <summary class="explanation-summary">
+                    <span>${rank === 0 ? leaderLabel : 'Runner-up'}: <strong>${name}</strong></span>
+                    <span class="explanation-total">${formatPoints(total)} points from ${contributions.length} answer${contributions.length === 1 ? '' : 's'}</span>
+                </summary>
+                ${items ? `<ol class="explanation-list">${items}</ol>` : '<p class="explanation-empty">None of your answers pointed here.</p>'}
+            </details>
+        `;
+    }).join('');
+
+    section.removeAttribute('hidden');
+}
+
+/**
+ * Returns the trait profile behind the displayed result: the engine's
+ * inferred profile for a completed quiz, or the decoded profile carried
+ * by a shared snapshot. Partial profiles can't be drawn, so they yield null.
+ */
+function getDisplayedTraitProfile() {
+    const profile = QuizState.sharedResultMode
+        ? QuizState.lastResultSnapshot?.traitProfile
+        : QuizState.scoringResult?.userTraitProfile;
+
+    if (!profile) return null;
+    const complete = TRAIT_COMPRESSION_TABLE.every(({ id }) => typeof profile[id] === 'number');
+    return complete ? profile : null;
+}
+
+/**
+ * Returns the next-best archetype ids after the primary, best first.
+ */
+function getRunnerUpIds(primaryId, limit = 3) {
+    const ranked = QuizState.sharedResultMode
+        ? (QuizState.lastResultSnapshot?.topMatches || []).map(match => match.id)
+        : Object.entries(QuizState.scoringResult?.allScores || {})
+            .sort((a, b) => b[1] - a[1])
+            .map(([id]) => id);
+
+    return ranked.filter(id => id && id !== primaryId).slice(0, limit);
+}
+
+/**
+ * Draws the six-trait radar from the engine's radar coordinates: the user's
+ * inferred trait profile over the primary archetype's reference profile,
+ * with cosine similarity to the primary and runners-up in the legend.
+ */
+function displayTraitRadar(archetype) {
+    const container = document.getElementById('traitRadar');
+    // Blended results are drawn against the weighted blend of their members;
+    // balanced results fall back to the highest-scoring archetype
+    const blend = getDisplayedBalance() ? null : getDisplayedBlend();
+    const archetypeProfile = blend
+        ? blendTraitProfiles(blend.archetypes)
+        : ARCHETYPE_TRAIT_PROFILES[archetype.id];
+    const referenceLabel = blend ? 'Blended profile' : archetype.name;
+    const userProfile = getDisplayedTraitProfile();
+
+    if (!container) return;
+    if (!archetypeProfile || !userProfile) {
+        container.setAttribute('hidden', '');
+        return;
+    }
+
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const axes = document.getElementById('traitRadarAxes');
+    const labels = document.getElementById('traitRadarLabels');
+    const legend = document.getElementById('traitRadarLegend');
     const radius = 100;
 
-    // Clear previous content
-    radarAxes.innerHTML = '';
-    radarLabels.innerHTML = '';
-    radarPoints.innerHTML = '';
-
-    // Generate polygon points
-    const points = [];
-    const labelPositions = [];
+    // Engine angles start at 3 o'clock; rotate so the first trait sits on top
+    // like the dimension radar. Radii are already normalized to 0-1.
+    const toPoint = ({ angle, radius: value }, distance = radius) => {
+        const rotated = angle - (Math.PI / 2);
+        const scaled = clampNumber(value, 0, 1) * distance;
+        return [Math.cos(rotated) * scaled, Math.sin(rotated) * scaled];
+    };
+    const pointsFor = coordinates => coordinates.map(coord => toPoint(coord).join(',')).join(' ');
 
-    dimensions.forEach((dimension, index) => {
-        const angle = (index * angleStep) - (Math.PI / 2); // Start from top
-        const score = scores[dimension.id] || 50; // Default to center if missing
-        const distance = (score / 100) * radius;
+    const userCoordinates = calculateRadarChartCoordinates(userProfile);
+    const archetypeCoordinates = calculateRadarChartCoordinates(archetypeProfile);
 
-        const x = Math.cos(angle) * distance;
-        const y = Math.sin(angle) * distance;
-        points.push(`${x},${y}`);
+    axes.innerHTML = '';
+    labels.innerHTML = '';
 
-        // Draw axis line
-        const axisX = Math.cos(angle) * radius;
-        const axisY = Math.sin(angle) * radius;
-        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+    userCoordinates.forEach(coord => {
+        const [axisX, axisY] = toPoint({ angle: coord.angle, radius: 1 });
+        const line = document.createElementNS(svgNS, 'line');
         line.setAttribute('x1', '0');
         line.setAttribute('y1', '0');
         line.setAttribute('x2', axisX);
@@ -786,14 +1851,10 @@ function renderRadarChart(dimensions, scores) {
         line.setAttribute('stroke', '#d4c4a8');
         line.setAttribute('stroke-width', '1');
         line.setAttribute('opacity', '0.3');
-        radarAxes.appendChild(line);
-
-        // Add label
-        const labelDistance = radius + 25;
-        const labelX = Math.cos(angle) * labelDistance;
-        const labelY = Math.sin(angle) * labelDistance;
+        axes.appendChild(line);
 
-        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        const [labelX, labelY] = toPoint({ angle: coord.angle, radius: 1 }, radius + 22);
+        const text = document.createElementNS(svgNS, 'text');
         text.setAttribute('x', labelX);
         text.setAttribute('y', labelY);
         text.setAttribute('class', 'dimension-label');
@@ -802,116 +1863,82 @@ function renderRadarChart(dimensions, scores) {
         text.setAttribute('fill', 'var(--color-earth-medium)');
         text.setAttribute('font-size', '12');
         text.setAttribute('font-weight', '600');
-        text.textContent = dimension.name.replace(' Dimension', '');
-        radarLabels.appendChild(text);
-
-        // Add data point
-        const circle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        circle.setAttribute('cx', x);
-        circle.setAttribute('cy', y);
-        circle.setAttribute('r', '4');
-        circle.setAttribute('fill', 'var(--color-accent)');
-        circle.setAttribute('class', 'data-point');
-        radarPoints.appendChild(circle);
-
-        labelPositions.push({ dimension: dimension.name, score: Math.round(score) });
+        text.textContent = TRAIT_COMPRESSION_TABLE.find(({ id }) => id === coord.dimension)?.label || coord.dimension;
+        labels.appendChild(text);
     });
 
-    // Set polygon points
-    radarPolygon.setAttribute('points', points.join(' '));
-    radarPolygon.setAttribute('fill', 'rgba(198, 123, 92, 0.2)');
-    radarPolygon.setAttribute('stroke', 'var(--color-accent)');
-    radarPolygon.setAttribute('stroke-width', '2');
+    document.getElementById('traitUserPolygon').setAttribute('points', pointsFor(userCoordinates));
+    document.getElementById('traitArchetypePolygon').setAttribute('points', pointsFor(archetypeCoordinates));
+
+    const similarities = calculateTraitSimilarities(userProfile, [
+        archetype.id,
+        ...getRunnerUpIds(archetype.id)
+    ]);
+    const ownerLabel = QuizState.sharedResultMode ? 'Shared profile' : 'You';
+
+    legend.innerHTML = `
+        <h3 class="legend-title">Trait Similarity</h3>
+        <p class="legend-key">
+            <span class="legend-swatch legend-swatch-primary"></span> ${ownerLabel}
+            <span class="legend-swatch legend-swatch-compare"></span> ${referenceLabel}
+        </p>
+        <ul class="legend-list">
+            ${similarities.map(({ archetypeId, similarity }) => `
+                <li${archetypeId === archetype.id ? ' class="is-primary"' : ''}>
+                    <strong>${getArchetypeById(archetypeId)?.name || archetypeId}:</strong>
+                    ${similarity.toFixed(2)} cosine similarity
+                </li>
+            `).join('')}
+        </ul>
+    `;
 
-    // Render legend
-    let legendHTML = '<h3 class="legend-title">Your Scores</h3><ul class="legend-list">';
-    labelPositions.forEach(item => {
-        legendHTML += `<li><strong>${item.dimension}:</strong> ${item.score}/100</li>`;
-    });
-    legendHTML += '</ul>';
-    radarLegend.innerHTML = legendHTML;
+    container.removeAttribute('hidden');
 }
 
 /**
  * Returns a human-centered, emotionally resonant interpretation for a dimension score.
- * Each dimension has 5 nuanced interpretations across the score range.
+ * Each dimension has 5 nuanced interpretations across the score range, kept
+ * in the narrative templates alongside the rest of the results text; empty
+ * when the templates failed to load.
  */
 function getDimensionInterpretation(dimensionId, normalizedScore) {
-    const interpretations = {
-        affective: {
-            veryLow: "You tend to protect your emotional equilibrium by maintaining distance from overwhelming feelings.",
-            low: "You navigate uncertainty with a steady presence, neither dwelling in despair nor floating in transcendence.",
-            moderate: "You hold a balanced emotional stance, acknowledging difficulty while preserving your capacity to function.",
-            high: "You carry collapse awareness with relative calm, finding sources of steadiness even amid turbulence.",
-            veryHigh: "You meet uncertainty with genuine equanimity, grounded in practices or perspectives that sustain inner peace."
-        },
-        cognitive: {
-            veryLow: "You filter the noise of catastrophic information, focusing on what you can see and touch in your immediate world.",
-            low: "You acknowledge some signs of instability but don't let them dominate your worldview or daily experience.",
-            moderate: "You see the patterns clearly enough to understand what's unfolding without being consumed by every data point.",
-            high: "You track systemic fragility closely, integrating uncomfortable evidence into your understanding of the world.",
-            veryHigh: "You see the patterns clearly and don't look away, even when it's uncomfortable."
-        },
-        relational: {
-            veryLow: "You ground your responses in personal autonomy, trusting your own judgment and tending to your immediate circle.",
-            low: "You balance self-reliance with selective connection, maintaining independence while staying aware of community.",
-            moderate: "You navigate between individual agency and collective belonging, drawing on both as circumstances require.",
-            high: "You orient strongly toward collective identity and shared struggle, finding strength in solidarity.",
-            veryHigh: "You root your sense of self in community and shared purpose, seeing individual and collective fates as inseparable."
-        },
-        temporal: {
-            veryLow: "You hold tight to what came before—traditions, ancestral wisdom, and the grounding weight of history.",
-            low: "You draw more from past and present than distant futures, valuing what's proven and what's immediate.",
-            moderate: "You balance past wisdom, present reality, and future possibility without being captured by any single timeframe.",
-            high: "You lean into what's coming, preparing for or imagining futures that haven't yet arrived.",
-            veryHigh: "You live oriented toward the horizon—what's next, what might emerge, what you can shape or prepare for."
-        },
-        behavioral: {
-            veryLow: "You navigate with what energy you have, accepting that agency feels limited given the forces at play.",
-            low: "You take action when it feels meaningful but don't carry the weight of trying to fix everything.",
-            moderate: "You engage with what's in front of you, taking steps where you can without exhausting yourself with constant intervention.",
-            high: "You channel awareness into concrete action, building skills, plans, or movements that feel within your reach.",
-            veryHigh: "You embody active preparation and engagement, translating understanding into tangible steps toward resilience."
-        }
-    };
-
-    // Determine score level
-    let level;
-    if (normalizedScore < 20) {
-        level = 'veryLow';
-    } else if (normalizedScore < 40) {
-        level = 'low';
-    } else if (normalizedScore < 60) {
-        level = 'moderate';
-    } else if (normalizedScore < 80) {
-        level = 'high';
-    } else {
-        level = 'veryHigh';
-    }
-
-    return interpretations[dimensionId]?.[level] || 'Your response to this dimension is unique.';
+    if (!QuizState.narrativeTemplates) return '';
+    return describeDimension(QuizState.narrativeTemplates, dimensionId, normalizedScore);
 }
 
-function renderDimensionCards(dimensions, rawScores, normalizedScores) {
+/**
+ * Renders one card per dimension. With bands, each score bar also shades
+ * the likely range and the card says how many answers the score rests on.
+ *
+ * @param {Array<Object>} dimensions - Dimension metadata
+ * @param {Object} normalizedScores - 0-100 scores keyed by dimension id
+ * @param {Object|null} bands - {dimensionId: {low, high, answered}}
+ */
+function renderDimensionCards(dimensions, normalizedScores, bands = null) {
     const dimensionCards = document.getElementById('dimensionCards');
     if (!dimensionCards) return;
 
     let html = '';
     dimensions.forEach(dimension => {
-        const rawScore = rawScores[dimension.id] || 0;
         const normalizedScore = Math.round(normalizedScores[dimension.id] || 50);
 
         // Get human-centered interpretation
         const interpretation = getDimensionInterpretation(dimension.id, normalizedScore);
 
+        const band = bands?.[dimension.id];
+        const low = band ? Math.round(band.low) : null;
+        const high = band ? Math.round(band.high) : null;
+
         html += `
             <div class="dimension-card">
                 <h3 class="dimension-name">${dimension.name}</h3>
                 <div class="dimension-score-bar">
                     <div class="score-fill" style="width: ${normalizedScore}%"></div>
+                    ${band ? `<div class="score-band" style="left: ${low}%; width: ${high - low}%" aria-hidden="true"></div>` : ''}
                     <span class="score-value">${normalizedScore}/100</span>
                 </div>
-                <p class="dimension-interpretation">${interpretation}</p>
+                ${band ? `<p class="dimension-evidence">${describeDimensionEvidence(low, high, band.answered)}</p>` : ''}
+                ${interpretation ? `<p class="dimension-interpretation">${interpretation}</p>` : ''}
                 <p class="dimension-desc">${dimension.description}</p>
                 <p class="dimension-theory">
                     <strong>Theoretical Basis:</strong>
@@ -931,6 +1958,14 @@ function renderDimensionCards(dimensions, rawScores, normalizedScores) {
     dimensionCards.innerHTML = html;
 }
 
+function describeDimensionEvidence(low, high, answered) {
+    const basis = `based on ${answered} answer${answered === 1 ? '' : 's'}`;
+    if (high - low >= 50) {
+        return `Likely ${low}–${high}, ${basis}. Too little to go on; read this one loosely.`;
+    }
+    return `Likely ${low}–${high}, ${basis}.`;
+}
+
 function displayTheoreticalFoundations(foundations) {
     // This could be expanded to show the theoretical foundations in a special section
     console.log('Theoretical foundations:', foundations);
@@ -972,13 +2007,13 @@ function retakeQuiz() {
 
 function persistResultSnapshot(archetype, overrides = {}) {
     const scoringResult = overrides.scoringResult || QuizState.scoringResult;
-    const dimensionalScores = overrides.dimensionalScores || QuizState.dimensionalScores;
+    const dimensionScores = overrides.dimensionScores || QuizState.dimensionScores;
 
-    if (!archetype || !scoringResult || !dimensionalScores) {
+    if (!archetype || !scoringResult || !dimensionScores) {
         return null;
     }
 
-    const { internal } = buildSnapshotData(archetype, scoringResult, dimensionalScores, overrides);
+    const { internal } = buildSnapshotData(archetype, scoringResult, dimensionScores, overrides);
     QuizState.lastResultSnapshot = internal;
     return internal;
 }
@@ -1000,71 +2035,75 @@ function getLatestResultSnapshot() {
     return persistResultSnapshot(archetype);
 }
 
-function encodeResultSnapshot(snapshot) {
-    try {
-        let payload = snapshot?._compact || null;
-
-        if (!payload && snapshot?.version === 2) {
-            payload = {
-                v: 2,
-                t: snapshot.generatedAt,
-                p: snapshot.primaryId,
-                c: encodeConfidence(snapshot.confidence),
-                m: (snapshot.topMatches || []).map(match => [match.id, clampNumber(match.score, 0, 100)]),
-                d: snapshot.dimensions || {},
-                u: encodeTraitProfile(snapshot.traitProfile),
-                q: [snapshot.questionsAnswered ?? null, snapshot.totalQuestions ?? null]
-            };
-
-            if (snapshot.sharedSource) {
-                payload.s = snapshot.sharedSource;
-            }
+/**
+ * Returns the compact (v3) payload for a snapshot, converting older
+ * snapshot shapes when needed.
+ *
+ * @param {Object} snapshot - Internal snapshot
+ * @returns {Object|null} Compact payload suitable for JSON storage
+ */
+function getCompactSnapshot(snapshot) {
+    let payload = snapshot?._compact || null;
+
+    if (!payload && snapshot?.version === SNAPSHOT_VERSION) {
+        payload = {
+            v: SNAPSHOT_VERSION,
+            t: snapshot.generatedAt,
+            p: snapshot.primaryId,
+            c: encodeConfidence(snapshot.confidence),
+            m: (snapshot.topMatches || []).map(match => [match.id, clampNumber(match.score, 0, 100)]),
+            d: snapshot.dimensions || {},
+            u: encodeTraitProfile(snapshot.traitProfile),
+            q: [snapshot.questionsAnswered ?? null, snapshot.totalQuestions ?? null]
+        };
+
+        if (snapshot.sharedSource) {
+            payload.s = snapshot.sharedSource;
         }
 
-        if (!payload && snapshot?.primary?.id) {
-            // Legacy snapshot structure.
-            const archetype = getArchetypeById(snapshot.primary.id) || { id: snapshot.primary.id };
-            const { compact } = buildSnapshotData(
-                archetype,
-                {
-                    confidence: snapshot.confidence,
-                    normalizedScores: Object.fromEntries((snapshot.topMatches || []).map(match => [match.id, (match.score || 0) / 100])),
-                    userTraitProfile: snapshot.traitProfile,
-                    questionsAnswered: snapshot.questionsAnswered,
-                    totalQuestions: snapshot.totalQuestions
-                },
-                snapshot.dimensions || {},
-                { generatedAt: snapshot.generatedAt }
-            );
-            payload = compact;
+        const compactBlend = encodeBlend(snapshot.blend);
+        if (compactBlend) {
+            payload.b = compactBlend;
         }
 
-        if (!payload) {
-            return null;
+        const compactBalance = encodeBalance(snapshot.balanced);
+        if (compactBalance) {
+            payload.n = compactBalance;
         }
+    }
 
-        const json = JSON.stringify(payload);
-        const binary = String.fromCharCode(...new TextEncoder().encode(json));
-        const base64 = btoa(binary);
-        return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/u, '');
-    } catch (error) {
-        console.error('Unable to encode snapshot:', error);
-        return null;
+    if (!payload && snapshot?.primary?.id) {
+        // Legacy snapshot structure.
+        const archetype = getArchetypeById(snapshot.primary.id) || { id: snapshot.primary.id };
+        const { compact } = buildSnapshotData(
+            archetype,
+            {
+                confidence: snapshot.confidence,
+                normalizedScores: Object.fromEntries((snapshot.topMatches || []).map(match => [match.id, (match.score || 0) / 100])),
+                userTraitProfile: snapshot.traitProfile,
+                questionsAnswered: snapshot.questionsAnswered,
+                totalQuestions: snapshot.totalQuestions
+            },
+            snapshot.dimensions || {},
+            { generatedAt: snapshot.generatedAt }
+        );
+        payload = compact;
     }
+
+    return payload;
 }
 
-function decodeResultSnapshot(encoded, options = {}) {
+function encodeResultSnapshot(snapshot) {
     try {
-        const padded = encoded.replace(/-/g, '+').replace(/_/g, '/');
-        const padLength = (4 - (padded.length % 4)) % 4;
-        const base = padded + '='.repeat(padLength);
-        const binary = atob(base);
-        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
-        const json = new TextDecoder().decode(bytes);
-        const rawSnapshot = JSON.parse(json);
-        return expandSnapshot(rawSnapshot, options);
+        const payload = getCompactSnapshot(snapshot);
+
+        if (!payload) {
+            return null;
+        }
+
+        return encodeSnapshotPayload(payload);
     } catch (error) {
-        console.error('Unable to decode snapshot:', error);
+        console.error('Unable to encode snapshot:', error);
         return null;
     }
 }
@@ -1116,13 +2155,29 @@ async function shareResult() {
 
 function buildShareText(snapshot) {
     const archetype = getArchetypeById(snapshot.primaryId);
-    const archetypeName = archetype?.name || 'My Archetype';
-    const archetypeMeme = archetype?.meme || '';
+    const balancedContent = snapshot.balanced ? QuizState.quizData?.balancedResult : null;
+    const blendNames = (snapshot.blend?.archetypes || [])
+        .map(({ archetypeId }) => getArchetypeById(archetypeId)?.name)
+        .filter(Boolean);
+    let archetypeName = archetype?.name || 'My Archetype';
+    let archetypeMeme = archetype?.meme || '';
+    if (balancedContent) {
+        archetypeName = balancedContent.name;
+        archetypeMeme = balancedContent.meme || '';
+    } else if (blendNames.length > 1) {
+        archetypeName = `${blendNames.join(' + ')} (blend)`;
+        archetypeMeme = '';
+    }
 
     const lines = [
         `My Collapse Archetype: ${archetypeName}`,
     ];
 
+    const family = balancedContent ? null : getFamilyOfArchetype(snapshot.primaryId);
+    if (family) {
+        lines.push(`Family: ${family.name}`);
+    }
+
     if (archetypeMeme) {
         lines.push(`“${archetypeMeme}”`);
     }
@@ -1227,46 +2282,56 @@ function handleSharedResultFromHash() {
         return;
     }
 
-    const encoded = hash.slice(RESULT_HASH_PREFIX.length);
+    const { encoded, compareEncoded } = parseResultHash(hash);
     if (!encoded) {
         return;
     }
 
-    const snapshot = decodeResultSnapshot(encoded, { sharedSource: 'Shared link import' });
+    const snapshot = decodeResultSnapshot(encoded, { sharedSource: 'Shared link import', expand: expandSnapshot });
     if (!snapshot || !snapshot.primaryId) {
         showNotification('Unable to load the shared result.');
         clearSharedResultContext();
         return;
     }
 
-    applySharedResult(snapshot);
+    if (!applySharedResult(snapshot)) {
+        return;
+    }
+
+    if (compareEncoded) {
+        const other = decodeResultSnapshot(compareEncoded, { sharedSource: 'Shared link import', expand: expandSnapshot });
+        if (!other || !getArchetypeById(other.primaryId)) {
+            showNotification('Unable to load the second result for comparison.');
+            return;
+        }
+        showComparison(snapshot, other);
+    }
 }
 
 function applySharedResult(snapshot) {
     if (!QuizState.quizData) {
-        return;
+        return false;
     }
 
     const archetype = getArchetypeById(snapshot.primaryId);
     if (!archetype) {
         showNotification('This shared result references an unknown archetype.');
-        return;
+        return false;
     }
 
+    clearComparison();
+
     const dimensionIds = (QuizState.quizData.metadata?.dimensions || []).map(d => d.id);
-    const rawDimensions = {};
+    const dimensionScores = {};
     const sourceDimensions = snapshot.dimensions || {};
 
     (dimensionIds.length ? dimensionIds : Object.keys(sourceDimensions)).forEach(id => {
         const normalized = sourceDimensions[id];
-        if (typeof normalized === 'number') {
-            rawDimensions[id] = Math.round((clampNumber(normalized, 0, 100) / 100) * 120 - 60);
-        } else {
-            rawDimensions[id] = 0;
-        }
+        dimensionScores[id] = typeof normalized === 'number' ? clampNumber(normalized, 0, 100) : 50;
     });
 
-    QuizState.dimensionalScores = rawDimensions;
+    QuizState.dimensionScores = dimensionScores;
+    QuizState.dimensionBands = null;
 
     const snapshotWithSource = {
         ...snapshot,
@@ -1280,7 +2345,9 @@ function applySharedResult(snapshot) {
 
     displayArchetypeResult(archetype);
     updateSharedResultBanner(snapshotWithSource);
+    updateHistoryControls();
     showScreen(DOM.resultsScreen);
+    return true;
 }
 
 function clearSharedResultContext({ preserveHash = false, preserveSnapshot = false } = {}) {
@@ -1290,6 +2357,7 @@ function clearSharedResultContext({ preserveHash = false, preserveSnapshot = fal
     }
 
     QuizState.sharedResultMode = false;
+    clearComparison();
     if (DOM.sharedResultBanner) {
         DOM.sharedResultBanner.setAttribute('hidden', '');
     }
@@ -1328,6 +2396,489 @@ function updateSharedResultBanner(snapshot) {
             : ' ';
         DOM.sharedResultMeta.textContent = `This read-only profile was shared with you. Generated on ${formatted}.${sourceText}Data stays local unless you export or reshare it.`;
     }
+
+    if (DOM.compareWithMineBtn) {
+        DOM.compareWithMineBtn.hidden = !getOwnResultSnapshot();
+    }
+}
+
+// ============================================
+// RESULT COMPARISON
+// ============================================
+
+/**
+ * Returns the user's own most recent result: this session's result if
+ * there is one, otherwise the newest entry in on-device history.
+ */
+function getOwnResultSnapshot() {
+    if (QuizState.ownResultSnapshot) {
+        return QuizState.ownResultSnapshot;
+    }
+
+    const entries = loadHistory();
+    return entries.length ? expandSnapshot(entries[entries.length - 1]) : null;
+}
+
+function compareWithMine() {
+    const shared = QuizState.lastResultSnapshot;
+    const own = getOwnResultSnapshot();
+    if (!shared || !own) {
+        showNotification('Finish the quiz or save a result to history to compare with your own.');
+        return;
+    }
+
+    const sharedEncoded = encodeResultSnapshot(shared);
+    const ownEncoded = encodeResultSnapshot(own);
+    if (sharedEncoded && ownEncoded) {
+        // Keep the URL shareable so the pair can reopen the same comparison
+        const { pathname, search } = window.location;
+        history.replaceState(null, '', `${pathname}${search}${RESULT_HASH_PREFIX}${sharedEncoded}&${COMPARE_HASH_PARAM}${ownEncoded}`);
+    }
+
+    showComparison(shared, own, { primary: 'Shared profile', other: 'Your profile' });
+}
+
+/**
+ * Overlays a second snapshot on the results view: both polygons on the
+ * dimension radar, trait-profile differences and top-match overlap.
+ *
+ * @param {Object} snapshot - Snapshot currently displayed
+ * @param {Object} other - Snapshot to compare against
+ * @param {Object} labels - Display labels { primary, other }
+ */
+function showComparison(snapshot, other, labels = { primary: 'Profile A', other: 'Profile B' }) {
+    QuizState.comparisonSnapshot = other;
+
+    const dimensions = QuizState.quizData?.metadata?.dimensions || [];
+    renderRadarChart(dimensions, snapshot.dimensions || {}, { scores: other.dimensions || {}, labels });
+    renderComparisonPanel(snapshot, other, labels);
+
+    if (DOM.sharedResultMeta) {
+        DOM.sharedResultMeta.textContent = `Comparing two read-only profiles: ${labels.primary} and ${labels.other}. Data stays local unless you export or reshare it.`;
+    }
+    if (DOM.compareWithMineBtn) {
+        DOM.compareWithMineBtn.hidden = true;
+    }
+}
+
+function clearComparison() {
+    QuizState.comparisonSnapshot = null;
+
+    const radarComparePolygon = document.getElementById('radarComparePolygon');
+    if (radarComparePolygon) {
+        radarComparePolygon.setAttribute('points', '');
+    }
+    if (DOM.comparePanel) {
+        DOM.comparePanel.setAttribute('hidden', '');
+    }
+    if (DOM.compareContent) {
+        DOM.compareContent.innerHTML = '';
+    }
+}
+
+function describeTraitGap(gap) {
+    if (gap < 10) return 'Closely aligned';
+    if (gap < 25) return 'Some difference';
+    return 'Marked difference';
+}
+
+/**
+ * Fills the comparison panel. Everything is added as text nodes, since
+ * either snapshot may come from a share link.
+ */
+function renderComparisonPanel(snapshot, other, labels) {
+    if (!DOM.comparePanel || !DOM.compareContent) return;
+
+    const nameFor = id => getArchetypeById(id)?.name || id;
+    const samePrimary = snapshot.primaryId === other.primaryId;
+    let primaryNote = samePrimary ? 'You share the same primary archetype.' : 'Your primary archetypes differ.';
+    if (snapshot.balanced || other.balanced) {
+        primaryNote = 'At least one of these results shows no clear pattern, so compare the traits and dimensions rather than the archetypes.';
+    }
+
+    const labeledLine = (label, value) => {
+        const line = document.createElement('p');
+        line.append(createTextElement('strong', `${label}:`), ` ${value}`);
+        return line;
+    };
+    const primaries = createTextElement('div', '', 'compare-primaries');
+    primaries.append(
+        labeledLine(labels.primary, getSnapshotResultName(snapshot)),
+        labeledLine(labels.other, getSnapshotResultName(other)),
+        createTextElement('p', primaryNote, 'compare-note')
+    );
+    const sections = [primaries];
+
+    // Trait profile differences, on the same 0-100 scale used for sharing
+    const traitsA = snapshot.traitProfile || {};
+    const traitsB = other.traitProfile || {};
+    const traitRows = TRAIT_COMPRESSION_TABLE
+        .filter(({ id }) => typeof traitsA[id] === 'number' && typeof traitsB[id] === 'number')
+        .map(({ id, min, max, label }) => {
+            const a = Math.round(clampNumber((traitsA[id] - min) / (max - min), 0, 1) * 100);
+            const b = Math.round(clampNumber((traitsB[id] - min) / (max - min), 0, 1) * 100);
+            const row = document.createElement('tr');
+            const heading = createTextElement('th', label);
+            heading.scope = 'row';
+            row.append(
+                heading,
+                createTextElement('td', String(a)),
+                createTextElement('td', String(b)),
+                createTextElement('td', describeTraitGap(Math.abs(a - b)))
+            );
+            return row;
+        });
+
+    if (traitRows.length) {
+        const headerRow = document.createElement('tr');
+        ['Trait', labels.primary, labels.other, 'Difference'].forEach(text => {
+            const cell = createTextElement('th', text);
+            cell.scope = 'col';
+            headerRow.append(cell);
+        });
+        const head = document.createElement('thead');
+        head.append(headerRow);
+        const body = document.createElement('tbody');
+        body.append(...traitRows);
+        const table = createTextElement('table', '', 'compare-table');
+        table.append(head, body);
+
+        sections.push(createTextElement('h3', 'Trait Profiles', 'compare-heading'), table);
+    }
+
+    // Where the top-3 matches overlap or diverge
+    const matchesA = new Map((snapshot.topMatches || []).map(match => [match.id, match.score]));
+    const matchesB = new Map((other.topMatches || []).map(match => [match.id, match.score]));
+    const shared = [...matchesA.keys()].filter(id => matchesB.has(id));
+    const onlyA = [...matchesA.keys()].filter(id => !matchesB.has(id));
+    const onlyB = [...matchesB.keys()].filter(id => !matchesA.has(id));
+
+    const matchColumn = (title, ids, format) => {
+        const list = document.createElement('ul');
+        if (ids.length) {
+            list.append(...ids.map(id => createTextElement('li', format(id))));
+        } else {
+            list.append(createTextElement('li', 'None', 'compare-empty'));
+        }
+        const column = document.createElement('div');
+        column.append(createTextElement('h4', title), list);
+        return column;
+    };
+
+    const matches = createTextElement('div', '', 'compare-matches');
+    matches.append(
+        matchColumn('Shared', shared, id => `${nameFor(id)} (${matchesA.get(id)}% / ${matchesB.get(id)}%)`),
+        matchColumn(`Only ${labels.primary}`, onlyA, id => `${nameFor(id)} (${matchesA.get(id)}%)`),
+        matchColumn(`Only ${labels.other}`, onlyB, id => `${nameFor(id)} (${matchesB.get(id)}%)`)
+    );
+    sections.push(createTextElement('h3', 'Top Matches', 'compare-heading'), matches);
+
+    DOM.compareContent.replaceChildren(...sections);
+    DOM.comparePanel.removeAttribute('hidden');
+}
+
+// ============================================
+// RESULT HISTORY (OPT-IN, LOCAL ONLY)
+// ============================================
+
+const HISTORY_DIMENSION_COLORS = {
+    affective: 'var(--color-clay)',
+    cognitive: 'var(--color-earth-light)',
+    relational: 'var(--color-sage)',
+    temporal: 'var(--color-stone)',
+    behavioral: 'var(--color-earth-dark)',
+};
+
+/**
+ * Reads saved history entries (compact v2 or v3 snapshots), oldest first.
+ * expandSnapshot() converts v2 dimension scores for display.
+ *
+ * @returns {Array<Object>} Compact snapshots
+ */
+function loadHistory() {
+    const storage = getLocalStorage();
+    if (!storage) return [];
+
+    try {
+        const saved = JSON.parse(storage.getItem(HISTORY_STORAGE_KEY));
+        if (!saved || saved.schema !== HISTORY_SCHEMA_VERSION || !Array.isArray(saved.entries)) {
+            return [];
+        }
+        return saved.entries
+            .filter(entry => COMPACT_SNAPSHOT_VERSIONS.includes(entry?.v) && typeof entry.t === 'number' && entry.p)
+            .sort((a, b) => a.t - b.t);
+    } catch (error) {
+        console.error('Unable to read result history:', error);
+        return [];
+    }
+}
+
+function writeHistory(entries) {
+    const storage = getLocalStorage();
+    if (!storage) return false;
+
+    try {
+        if (!entries.length) {
+            storage.removeItem(HISTORY_STORAGE_KEY);
+        } else {
+            storage.setItem(HISTORY_STORAGE_KEY, JSON.stringify({
+                schema: HISTORY_SCHEMA_VERSION,
+                entries
+            }));
+        }
+        return true;
+    } catch (error) {
+        console.error('Unable to update result history:', error);
+        return false;
+    }
+}
+
+function saveResultToHistory() {
+    if (QuizState.sharedResultMode) {
+        showNotification('Only your own results can be saved to history.');
+        return;
+    }
+
+    const snapshot = getLatestResultSnapshot();
+    const compact = snapshot ? getCompactSnapshot(snapshot) : null;
+    if (!compact) {
+        showNotification('Complete the quiz to save your result.');
+        return;
+    }
+
+    const entries = loadHistory();
+    if (entries.some(entry => entry.t === compact.t)) {
+        showNotification('This result is already in your history.');
+        return;
+    }
+
+    // Shared-link provenance is irrelevant for on-device history
+    const { s: _source, ...entry } = compact;
+    entries.push(entry);
+
+    if (!writeHistory(entries.slice(-HISTORY_MAX_ENTRIES))) {
+        showNotification('Unable to save to this device. Storage may be disabled.');
+        return;
+    }
+
+    updateHistoryControls();
+    showNotification('Result saved to this device.');
+}
+
+function updateHistoryControls() {
+    const entries = loadHistory();
+    const hasHistory = entries.length > 0;
+    const latest = QuizState.lastResultSnapshot;
+    const alreadySaved = Boolean(latest) && entries.some(entry => entry.t === latest.generatedAt);
+
+    if (DOM.welcomeHistoryBtn) {
+        DOM.welcomeHistoryBtn.hidden = !hasHistory;
+    }
+    if (DOM.viewHistoryBtn) {
+        DOM.viewHistoryBtn.hidden = !hasHistory;
+    }
+    if (DOM.saveHistoryBtn) {
+        DOM.saveHistoryBtn.hidden = QuizState.sharedResultMode;
+        DOM.saveHistoryBtn.disabled = alreadySaved;
+    }
+}
+
+function showHistory() {
+    renderHistory();
+    showScreen(DOM.historyScreen);
+}
+
+function leaveHistory() {
+    const returnScreen = QuizState.lastResultSnapshot ? DOM.resultsScreen : DOM.welcomeScreen;
+    updateHistoryControls();
+    showScreen(returnScreen);
+}
+
+function clearHistory() {
+    if (!loadHistory().length) return;
+
+    if (!window.confirm('Delete every saved result from this device? This cannot be undone.')) {
+        return;
+    }
+
+    writeHistory([]);
+    renderHistory();
+    showNotification('Result history cleared from this device.');
+}
+
+function handleHistoryListClick(event) {
+    const button = event.target.closest('[data-history-delete]');
+    if (!button) return;
+
+    const timestamp = Number(button.dataset.historyDelete);
+    writeHistory(loadHistory().filter(entry => entry.t !== timestamp));
+    renderHistory();
+    showNotification('Result removed from history.');
+}
+
+function renderHistory() {
+    const entries = loadHistory().map(entry => expandSnapshot(entry)).filter(Boolean);
+    const hasEntries = entries.length > 0;
+
+    if (DOM.historyEmpty) {
+        DOM.historyEmpty.hidden = hasEntries;
+    }
+    if (DOM.historyChart) {
+        DOM.historyChart.parentElement.hidden = !hasEntries;
+    }
+    if (DOM.clearHistoryBtn) {
+        DOM.clearHistoryBtn.disabled = !hasEntries;
+    }
+
+    renderHistoryChart(entries);
+    renderHistoryList(entries);
+}
+
+/**
+ * Plots each dimension (0-100) across saved results, with the primary
+ * archetype marked beneath every point in time.
+ */
+function renderHistoryChart(entries) {
+    const chart = DOM.historyChart;
+    if (!chart) return;
+
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const width = 600;
+    const height = 260;
+    const margin = { top: 16, right: 24, bottom: 64, left: 40 };
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const dimensions = QuizState.quizData?.metadata?.dimensions || [];
+
+    const content = chart.querySelector('#historyChartContent');
+    content.innerHTML = '';
+
+    const xFor = index => margin.left + (entries.length > 1
+        ? (index / (entries.length - 1)) * plotWidth
+        : plotWidth / 2);
+    const yFor = value => margin.top + plotHeight - (clampNumber(value, 0, 100) / 100) * plotHeight;
+
+    // Horizontal gridlines
+    [0, 50, 100].forEach(value => {
+        const line = document.createElementNS(svgNS, 'line');
+        line.setAttribute('x1', margin.left);
+        line.setAttribute('x2', width - margin.right);
+        line.setAttribute('y1', yFor(value));
+        line.setAttribute('y2', yFor(value));
+        line.setAttribute('class', 'history-gridline');
+        content.appendChild(line);
+
+        const label = document.createElementNS(svgNS, 'text');
+        label.setAttribute('x', margin.left - 8);
+        label.setAttribute('y', yFor(value));
+        label.setAttribute('text-anchor', 'end');
+        label.setAttribute('dominant-baseline', 'middle');
+        label.setAttribute('class', 'history-axis-label');
+        label.textContent = value;
+        content.appendChild(label);
+    });
+
+    // One line per dimension
+    dimensions.forEach(dimension => {
+        const color = HISTORY_DIMENSION_COLORS[dimension.id] || 'var(--color-accent)';
+        const points = entries.map((entry, index) => [xFor(index), yFor(entry.dimensions?.[dimension.id] ?? 50)]);
+
+        const polyline = document.createElementNS(svgNS, 'polyline');
+        polyline.setAttribute('points', points.map(([x, y]) => `${x},${y}`).join(' '));
+        polyline.setAttribute('class', 'history-line');
+        polyline.setAttribute('stroke', color);
+        content.appendChild(polyline);
+
+        points.forEach(([x, y], index) => {
+            const circle = document.createElementNS(svgNS, 'circle');
+            circle.setAttribute('cx', x);
+            circle.setAttribute('cy', y);
+            circle.setAttribute('r', '3.5');
+            circle.setAttribute('fill', color);
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = `${dimension.name}: ${Math.round(entries[index].dimensions?.[dimension.id] ?? 50)}/100`;
+            circle.appendChild(title);
+            content.appendChild(circle);
+        });
+    });
+
+    // Primary archetype and date beneath each point in time
+    entries.forEach((entry, index) => {
+        const archetype = getArchetypeById(entry.primaryId);
+
+        const marker = document.createElementNS(svgNS, 'text');
+        marker.setAttribute('x', xFor(index));
+        marker.setAttribute('y', height - margin.bottom + 24);
+        marker.setAttribute('text-anchor', 'middle');
+        marker.setAttribute('font-size', '18');
+        marker.textContent = getArchetypeEmoji(entry.primaryId);
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = archetype?.name || entry.primaryId;
+        marker.appendChild(title);
+        content.appendChild(marker);
+
+        const date = document.createElementNS(svgNS, 'text');
+        date.setAttribute('x', xFor(index));
+        date.setAttribute('y', height - margin.bottom + 48);
+        date.setAttribute('text-anchor', 'middle');
+        date.setAttribute('class', 'history-axis-label');
+        date.textContent = new Date(entry.generatedAt).toLocaleDateString(undefined, { dateStyle: 'short' });
+        content.appendChild(date);
+    });
+
+    if (DOM.historyLegend) {
+        DOM.historyLegend.innerHTML = dimensions.map(dimension => `
+            <li>
+                <span class="history-swatch" style="background: ${HISTORY_DIMENSION_COLORS[dimension.id] || 'var(--color-accent)'}"></span>
+                ${dimension.name.replace(/ Dimension$/u, '')}
+            </li>
+        `).join('');
+    }
+}
+
+function renderHistoryList(entries) {
+    if (!DOM.historyList) return;
+
+    const dimensions = QuizState.quizData?.metadata?.dimensions || [];
+
+    // Newest first reads more naturally as a list
+    DOM.historyList.innerHTML = entries.slice().reverse().map(entry => {
+        const name = getSnapshotResultName(entry);
+        const formatted = new Date(entry.generatedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+        const confidence = formatConfidence(entry.confidence);
+        const dimensionSummary = dimensions
+            .map(dimension => `${dimension.name.replace(/ Dimension$/u, '')} ${Math.round(entry.dimensions?.[dimension.id] ?? 50)}`)
+            .join(' • ');
+
+        return `
+            <li class="history-entry">
+                <div class="history-entry-text">
+                    <p class="history-entry-title">
+                        <span aria-hidden="true">${entry.balanced ? BALANCED_RESULT_EMOJI : getArchetypeEmoji(entry.primaryId)}</span>
+                        ${name}
+                    </p>
+                    <p class="history-entry-meta">${formatted}${confidence ? ` · ${confidence}` : ''}</p>
+                    <p class="history-entry-meta">${dimensionSummary}</p>
+                </div>
+                <button
+                    class="btn btn-outline history-delete-btn"
+                    data-history-delete="${entry.generatedAt}"
+                    aria-label="Delete the ${name} result from ${formatted}">
+                    <i class="ph ph-trash"></i>
+                    Delete
+                </button>
+            </li>
+        `;
+    }).join('');
+}
+
+function getFamilyById(familyId) {
+    if (!familyId || !QuizState.quizData?.families) return null;
+    return QuizState.quizData.families.find(family => family.id === familyId) || null;
+}
+
+function getFamilyOfArchetype(archetypeId) {
+    return QuizState.quizData?.families?.find(family => family.archetypes.includes(archetypeId)) || null;
 }
 
 function getArchetypeById(archetypeId) {
@@ -0,0 +1,238 @@
+/**
+ * Facilitator Group View
+ *
+ * Pools many shared results (share links or encoded snapshots) into a
+ * group summary for workshops:
+ * - Archetype distribution across participants
+ * - Mean and spread per dimension
+ * - Combined radar chart of every profile plus the group mean
+ * - CSV and JSON export of the summary
+ *
+ * Everything runs in the browser; pasted results are never sent anywhere.
+ */
+
+import { parseGroupInput, summarizeGroup } from './group-summary.js';
+
+// State
+let quizData = null;
+let groupSummary = null;
+
+// DOM Elements
+const resultsInput = document.getElementById('resultsInput');
+const analyzeBtn = document.getElementById('analyzeBtn');
+const clearInputBtn = document.getElementById('clearInputBtn');
+const inputStatus = document.getElementById('inputStatus');
+const groupSummarySection = document.getElementById('groupSummary');
+const exportCsvBtn = document.getElementById('exportCsvBtn');
+const exportJsonBtn = document.getElementById('exportJsonBtn');
+
+/**
+ * Initialize the page
+ */
+async function init() {
+    try {
+        const response = await fetch('src/data/quiz-data.json');
+        if (!response.ok) throw new Error('Failed to load quiz data');
+        quizData = await response.json();
+    } catch (error) {
+        console.error('Error loading quiz data:', error);
+        setStatus('Unable to load archetype data. Please refresh the page.');
+        analyzeBtn.disabled = true;
+        return;
+    }
+
+    analyzeBtn.addEventListener('click', analyzeInput);
+    clearInputBtn.addEventListener('click', clearInput);
+    exportCsvBtn.addEventListener('click', exportCsv);
+    exportJsonBtn.addEventListener('click', exportJson);
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+function analyzeInput() {
+    const { snapshots, invalidCount, duplicateCount } = parseGroupInput(resultsInput.value, quizData);
+
+    const notes = [`${snapshots.length} result${snapshots.length === 1 ? '' : 's'} loaded`];
+    if (duplicateCount) notes.push(`${duplicateCount} duplicate${duplicateCount === 1 ? '' : 's'} skipped`);
+    if (invalidCount) notes.push(`${invalidCount} unreadable entr${invalidCount === 1 ? 'y' : 'ies'} skipped`);
+    setStatus(`${notes.join(' · ')}.`);
+
+    if (!snapshots.length) {
+        groupSummary = null;
+        groupSummarySection.classList.add('hidden');
+        return;
+    }
+
+    groupSummary = summarizeGroup(snapshots, quizData);
+    renderDistribution(groupSummary);
+    renderDimensionTable(groupSummary);
+    renderGroupRadar(snapshots, groupSummary);
+    groupSummarySection.classList.remove('hidden');
+}
+
+function clearInput() {
+    resultsInput.value = '';
+    groupSummary = null;
+    groupSummarySection.classList.add('hidden');
+    setStatus('');
+    resultsInput.focus();
+}
+
+function setStatus(message) {
+    inputStatus.textContent = message;
+}
+
+function renderDistribution(summary) {
+    const list = document.getElementById('archetypeDistribution');
+    const present = summary.archetypeDistribution.filter(item => item.count > 0);
+
+    list.innerHTML = present.map(item => `
+        <li class="distribution-row">
+            <a href="archetypes/archetype.html?id=${item.id}" class="distribution-name">${item.name}</a>
+            <div class="distribution-bar" aria-hidden="true">
+                <div class="distribution-fill" style="width: ${item.percentage}%"></div>
+            </div>
+            <span class="distribution-value">${item.count} (${Math.round(item.percentage)}%)</span>
+        </li>
+    `).join('') + (summary.balanced.count ? `
+        <li class="distribution-row">
+            <span class="distribution-name">${quizData.balancedResult?.name || 'No Clear Pattern'}</span>
+            <div class="distribution-bar" aria-hidden="true">
+                <div class="distribution-fill" style="width: ${summary.balanced.percentage}%"></div>
+            </div>
+            <span class="distribution-value">${summary.balanced.count} (${Math.round(summary.balanced.percentage)}%)</span>
+        </li>
+    ` : '');
+
+    document.getElementById('participantCount').textContent = summary.participants;
+}
+
+function renderDimensionTable(summary) {
+    const body = document.getElementById('dimensionTableBody');
+    const format = value => (value === null ? '—' : value.toFixed(1));
+
+    body.innerHTML = summary.dimensions.map(dimension => `
+        <tr>
+            <th scope="row">${dimension.name.replace(/ Dimension$/u, '')}</th>
+            <td>${format(dimension.mean)}</td>
+            <td>${format(dimension.sd)}</td>
+            <td>${dimension.min ?? '—'}–${dimension.max ?? '—'}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Draws every participant as a faint polygon with the group mean on top.
+ */
+function renderGroupRadar(snapshots, summary) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const content = document.getElementById('groupRadarContent');
+    const dimensions = quizData.metadata.dimensions;
+    const angleStep = (Math.PI * 2) / dimensions.length;
+    const radius = 100;
+
+    content.innerHTML = '';
+
+    const pointsFor = scores => dimensions.map((dimension, index) => {
+        const angle = (index * angleStep) - (Math.PI / 2);
+        const distance = ((scores[dimension.id] ?? 50) / 100) * radius;
+        return `${Math.cos(angle) * distance},${Math.sin(angle) * distance}`;
+    }).join(' ');
+
+    dimensions.forEach((dimension, index) => {
+        const angle = (index * angleStep) - (Math.PI / 2);
+
+        const line = document.createElementNS(svgNS, 'line');
+        line.setAttribute('x1', '0');
+        line.setAttribute('y1', '0');
+        line.setAttribute('x2', Math.cos(angle) * radius);
+        line.setAttribute('y2', Math.sin(angle) * radius);
+        line.setAttribute('class', 'group-axis');
+        content.appendChild(line);
+
+        const label = document.createElementNS(svgNS, 'text');
+        label.setAttribute('x', Math.cos(angle) * (radius + 25));
+        label.setAttribute('y', Math.sin(angle) * (radius + 25));
+        label.setAttribute('text-anchor', 'middle');
+        label.setAttribute('dominant-baseline', 'middle');
+        label.setAttribute('class', 'dimension-label');
+        label.textContent = dimension.name.replace(' Dimension', '');
+        content.appendChild(label);
+    });
+
+    snapshots.forEach(snapshot => {
+        const polygon = document.createElementNS(svgNS, 'polygon');
+        polygon.setAttribute('points', pointsFor(snapshot.dimensions || {}));
+        polygon.setAttribute('class', 'group-member-polygon');
+        content.appendChild(polygon);
+    });
+
+    const means = Object.fromEntries(summary.dimensions.map(dimension => [dimension.id, dimension.mean ?? 50]));
+    const meanPolygon = document.createElementNS(svgNS, 'polygon');
+    meanPolygon.setAttribute('points', pointsFor(means));
+    meanPolygon.setAttribute('class', 'group-mean-polygon');
+    content.appendChild(meanPolygon);
+}
+
+// ============================================
+// EXPORT
+// ============================================
+
+function escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/u.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a single CSV with a `section` column so archetype and dimension
+ * rows can live in one spreadsheet.
+ */
+function buildSummaryCsv(summary) {
+    const header = ['section', 'id', 'name', 'count', 'percentage', 'n', 'mean', 'sd', 'min', 'max'];
+    const round = value => (value === null ? '' : Number(value.toFixed(2)));
+
+    const rows = [
+        ...summary.archetypeDistribution.map(item => [
+            'archetype', item.id, item.name, item.count, round(item.percentage), '', '', '', '', ''
+        ]),
+        ['balanced', '', quizData.balancedResult?.name || 'No Clear Pattern',
+            summary.balanced.count, round(summary.balanced.percentage), '', '', '', '', ''],
+        ...summary.dimensions.map(dimension => [
+            'dimension', dimension.id, dimension.name, '', '', dimension.n,
+            round(dimension.mean), round(dimension.sd), dimension.min ?? '', dimension.max ?? ''
+        ])
+    ];
+
+    return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+}
+
+function downloadFile(filename, contents, type) {
+    const blob = new Blob([contents], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+function exportCsv() {
+    if (!groupSummary) return;
+    downloadFile('collapse-archetypes-group.csv', buildSummaryCsv(groupSummary), 'text/csv');
+}
+
+function exportJson() {
+    if (!groupSummary) return;
+    downloadFile('collapse-archetypes-group.json', JSON.stringify(groupSummary, null, 2), 'application/json');
+}
+
+// Load on page ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
@@ -0,0 +1,155 @@
+/**
+ * COLLAPSE ARCHETYPE QUIZ - GROUP SUMMARY
+ *
+ * Pools shared results for the facilitator page:
+ * - Extraction of encoded snapshots from pasted share links
+ * - Decoding with duplicates and unreadable entries skipped, and v2
+ *   dimension scores converted to the current scale
+ * - Archetype distribution and per-dimension mean and spread
+ *
+ * No DOM access, so the same code runs in the browser and in tests.
+ */
+
+import { calculateDimensionRanges } from './scoring-engine.js';
+import {
+    RESULT_HASH_PREFIX,
+    decodeResultSnapshot,
+    parseResultHash
+} from './result-snapshot.js';
+
+// ============================================
+// PARSING
+// ============================================
+
+/**
+ * Extracts encoded snapshots from pasted text. Accepts full share URLs
+ * (only the primary #result= payload is used) or bare encoded strings,
+ * separated by whitespace or commas.
+ *
+ * @param {string} text - Pasted input
+ * @returns {Array<string>} Encoded snapshots in input order
+ */
+function extractEncodedSnapshots(text) {
+    return text
+        .split(/[\s,]+/u)
+        .map(token => token.trim())
+        .filter(Boolean)
+        .map(token => {
+            const hashIndex = token.indexOf(RESULT_HASH_PREFIX);
+            if (hashIndex === -1) return token;
+            return parseResultHash(token.slice(hashIndex)).encoded;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Decodes pasted results, skipping duplicates and anything unreadable.
+ *
+ * @param {string} text - Pasted input
+ * @param {Object} quizData - Quiz data, for the known archetype ids and dimension ranges
+ * @returns {Object} { snapshots, invalidCount, duplicateCount }
+ */
+function parseGroupInput(text, quizData) {
+    const archetypeIds = quizData.archetypes.map(archetype => archetype.id);
+    const dimensionRanges = calculateDimensionRanges(quizData.questions);
+    const seen = new Set();
+    const snapshots = [];
+    let invalidCount = 0;
+    let duplicateCount = 0;
+
+    extractEncodedSnapshots(text).forEach(encoded => {
+        if (seen.has(encoded)) {
+            duplicateCount++;
+            return;
+        }
+        seen.add(encoded);
+
+        const snapshot = decodeResultSnapshot(encoded, { archetypeIds, dimensionRanges });
+        if (!snapshot || !snapshot.primaryId) {
+            invalidCount++;
+            return;
+        }
+        snapshots.push(snapshot);
+    });
+
+    return { snapshots, invalidCount, duplicateCount };
+}
+
+// ============================================
+// AGGREGATION
+// ============================================
+
+/**
+ * Summarizes a group of snapshots.
+ *
+ * Dimension spread is the population standard deviation:
+ * σ = sqrt(Σ(x - μ)² / n)
+ *
+ * Snapshots whose dimension scores are still on the legacy scale (decoded
+ * without dimension ranges) are left out of the dimension statistics.
+ *
+ * @param {Array<Object>} snapshots - Decoded result snapshots
+ * @param {Object} quizData - Quiz data, for archetype and dimension metadata
+ * @returns {Object} Group summary
+ */
+function summarizeGroup(snapshots, quizData) {
+    const participants = snapshots.length;
+
+    // Balanced results name no archetype, so they are counted on their own
+    const counts = {};
+    let balancedCount = 0;
+    snapshots.forEach(snapshot => {
+        if (snapshot.balanced) {
+            balancedCount++;
+            return;
+        }
+        counts[snapshot.primaryId] = (counts[snapshot.primaryId] || 0) + 1;
+    });
+
+    const archetypeDistribution = quizData.archetypes
+        .map(archetype => ({
+            id: archetype.id,
+            name: archetype.name,
+            count: counts[archetype.id] || 0,
+            percentage: participants ? ((counts[archetype.id] || 0) / participants) * 100 : 0
+        }))
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+    const dimensions = quizData.metadata.dimensions.map(dimension => {
+        const values = snapshots
+            .filter(snapshot => snapshot.dimensionScale !== 'legacy')
+            .map(snapshot => snapshot.dimensions?.[dimension.id])
+            .filter(value => typeof value === 'number');
+        const n = values.length;
+        const mean = n ? values.reduce((sum, value) => sum + value, 0) / n : null;
+        const sd = n ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / n) : null;
+
+        return {
+            id: dimension.id,
+            name: dimension.name,
+            n,
+            mean,
+            sd,
+            min: n ? Math.min(...values) : null,
+            max: n ? Math.max(...values) : null
+        };
+    });
+
+    return {
+        generatedAt: new Date().toISOString(),
+        quizVersion: quizData.metadata.version,
+        participants,
+        archetypeDistribution,
+        balanced: {
+            count: balancedCount,
+            percentage: participants ? (balancedCount / participants) * 100 : 0
+        },
+        dimensions
+    };
+}
+
+export {
+    extractEncodedSnapshots,
+    parseGroupInput,
+    summarizeGroup
+};
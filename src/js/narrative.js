@@ -0,0 +1,166 @@
+/**
+ * COLLAPSE ARCHETYPE QUIZ - RESULT NARRATIVE
+ *
+ * Turns a result into a short written profile: an opening on the primary
+ * archetype pitched to the match confidence, the dimensions that stand out,
+ * any tensions between dimensions, the runners-up and a closing note.
+ *
+ * Every sentence comes from src/data/narrative-templates.json so the text
+ * can be reviewed and translated without touching code. Placeholders are
+ * written {name}; unknown placeholders are left as they are.
+ */
+
+const DEFAULT_MAX_DIMENSIONS = 2;
+const DEFAULT_MAX_TENSIONS = 2;
+const DIMENSION_MIDPOINT = 50;
+
+/**
+ * Fills {name} placeholders from values.
+ *
+ * @param {string} template - Template text
+ * @param {Object} values - Replacement text keyed by placeholder name
+ * @returns {string} Filled text
+ */
+function fillTemplate(template, values = {}) {
+    return String(template).replace(/\{(\w+)\}/g, (placeholder, name) => (
+        values[name] === undefined || values[name] === null ? placeholder : String(values[name])
+    ));
+}
+
+/**
+ * Joins items with the template set's list separators ("a, b and c").
+ */
+function formatList(templates, items) {
+    const separator = templates.list?.separator ?? ', ';
+    const finalSeparator = templates.list?.finalSeparator ?? ' and ';
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(separator)}${finalSeparator}${items[items.length - 1]}`;
+}
+
+/**
+ * Returns the level id ('veryLow' ... 'veryHigh') for a 0-100 score. Levels
+ * are checked in order; the first whose `below` cutoff exceeds the score
+ * wins, and a level without a cutoff catches the rest.
+ */
+function getDimensionLevel(templates, score) {
+    const level = templates.levels.find(({ below }) => below === undefined || score < below);
+    return level ? level.id : null;
+}
+
+/**
+ * The one-sentence interpretation of a dimension score.
+ *
+ * @param {Object} templates - Narrative template set
+ * @param {string} dimensionId - Dimension id
+ * @param {number} score - Score on the 0-100 scale
+ * @returns {string} Interpretation, or the template set's fallback
+ */
+function describeDimension(templates, dimensionId, score) {
+    const level = getDimensionLevel(templates, score);
+    return templates.dimensions?.[dimensionId]?.[level] || templates.dimensionFallback;
+}
+
+/**
+ * Finds the tensions whose conditions all hold, strongest first. A tension's
+ * strength is how far its weakest condition clears the high or low
+ * threshold, so a pattern that only just qualifies sorts last.
+ *
+ * @param {Object} templates - Narrative template set
+ * @param {Object} scores - 0-100 scores keyed by dimension id
+ * @returns {Array<{id: string, text: string, strength: number}>}
+ */
+function findTensions(templates, scores) {
+    const { low, high } = templates.tensionThresholds;
+
+    return (templates.tensions || [])
+        .map(tension => {
+            const margins = Object.entries(tension.when).map(([dimensionId, side]) => {
+                const score = scores[dimensionId];
+                if (typeof score !== 'number') return -1;
+                return side === 'high' ? score - high : low - score;
+            });
+            return { id: tension.id, text: tension.text, strength: Math.min(...margins) };
+        })
+        .filter(tension => tension.strength >= 0)
+        .sort((a, b) => b.strength - a.strength);
+}
+
+function buildDimensionsParagraph(templates, dimensions, scores, maxDimensions) {
+    const standouts = dimensions
+        .filter(dimension => typeof scores[dimension.id] === 'number')
+        .filter(dimension => getDimensionLevel(templates, scores[dimension.id]) !== 'moderate')
+        .sort((a, b) => Math.abs(scores[b.id] - DIMENSION_MIDPOINT) - Math.abs(scores[a.id] - DIMENSION_MIDPOINT))
+        .slice(0, maxDimensions);
+
+    if (standouts.length === 0) {
+        return templates.dimensionsEven;
+    }
+
+    return [
+        fillTemplate(templates.dimensionsLead, { strongest: standouts[0].name }),
+        ...standouts.map(dimension => describeDimension(templates, dimension.id, scores[dimension.id]))
+    ].join(' ');
+}
+
+/**
+ * Writes the narrative profile for one result.
+ *
+ * Balanced results use the template set's "balanced" opening and closing in
+ * place of the confidence-level ones; otherwise an unknown confidence level
+ * falls back to MODERATE.
+ *
+ * @param {Object} templates - Narrative template set
+ * @param {Object} profile - What to write about
+ * @param {Object} profile.archetype - Primary archetype ({name, description})
+ * @param {string} profile.confidenceLevel - PERFECT, STRONG, MODERATE, WEAK or NONE
+ * @param {boolean} [profile.balanced] - Whether the result is balanced
+ * @param {Array<Object>} profile.dimensions - Dimension metadata ({id, name})
+ * @param {Object} profile.dimensionScores - 0-100 scores keyed by dimension id
+ * @param {Array<string>} [profile.runnerUpNames] - Next-best archetype names
+ * @param {Object} [options]
+ * @param {number} [options.maxDimensions=2] - Standout dimensions to describe
+ * @param {number} [options.maxTensions=2] - Tensions to describe
+ * @returns {Array<string>} Paragraphs, in reading order
+ */
+function buildNarrative(templates, profile, options = {}) {
+    const {
+        maxDimensions = DEFAULT_MAX_DIMENSIONS,
+        maxTensions = DEFAULT_MAX_TENSIONS
+    } = options;
+    const scores = profile.dimensionScores || {};
+    const tone = profile.balanced
+        ? 'balanced'
+        : (templates.opening[profile.confidenceLevel] ? profile.confidenceLevel : 'MODERATE');
+
+    const paragraphs = [
+        fillTemplate(templates.opening[tone], {
+            archetype: profile.archetype.name,
+            description: profile.archetype.description || ''
+        }).trim(),
+        buildDimensionsParagraph(templates, profile.dimensions || [], scores, maxDimensions)
+    ];
+
+    const tensions = findTensions(templates, scores).slice(0, maxTensions);
+    if (tensions.length > 0) {
+        paragraphs.push(tensions.map(tension => tension.text).join(' '));
+    }
+
+    const runnerUpNames = profile.runnerUpNames || [];
+    if (runnerUpNames.length > 0) {
+        const template = runnerUpNames.length === 1 ? templates.runnersUp.one : templates.runnersUp.many;
+        paragraphs.push(fillTemplate(template, { names: formatList(templates, runnerUpNames) }));
+    }
+
+    paragraphs.push(templates.closing[tone]);
+
+    return paragraphs.filter(Boolean);
+}
+
+export {
+    fillTemplate,
+    formatList,
+    getDimensionLevel,
+    describeDimension,
+    findTensions,
+    buildNarrative
+};
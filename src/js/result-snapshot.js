@@ -0,0 +1,415 @@
+/**
+ * COLLAPSE ARCHETYPE QUIZ - RESULT SNAPSHOT CODEC
+ *
+ * Compact (v3) result snapshots shared between the quiz, its share links
+ * and the facilitator tools:
+ * - Confidence and trait-profile compression
+ * - URL-safe base64 encoding of snapshot payloads
+ * - Expansion of compact payloads into display-ready snapshots
+ * - Conversion of v2 dimension scores to the current scale
+ *
+ * Compact payload keys:
+ *   v: version (3), t: generatedAt, p: primary archetype id,
+ *   c: [confidencePercent, levelCode], m: [[archetypeId, percent], ...],
+ *   d: {dimensionId: 0-100}, u: {traitKey: 0-100},
+ *   q: [questionsAnswered, totalQuestions], s: shared source (optional),
+ *   b: [reasonCode, [[archetypeId, weightPercent], ...]] blended result (optional),
+ *   n: [reasonCode, contenderCount] balanced result (optional)
+ *
+ * In v3, d is scaled to each dimension's attainable range over the question
+ * bank (0 and 100 are the lowest and highest totals a complete quiz can
+ * reach). v2 payloads are otherwise identical, but their d is on a fixed
+ * ±LEGACY_DIMENSION_SPAN scale around 50.
+ */
+
+const SNAPSHOT_VERSION = 3;
+const COMPACT_SNAPSHOT_VERSIONS = [2, SNAPSHOT_VERSION];
+const LEGACY_DIMENSION_SPAN = 60;
+
+const RESULT_HASH_PREFIX = '#result=';
+const COMPARE_HASH_PARAM = 'compare=';
+
+const CONFIDENCE_LEVEL_CODES = {
+    strong: 's',
+    moderate: 'm',
+    low: 'l',
+    weak: 'w'
+};
+
+const CONFIDENCE_CODE_LABELS = {
+    s: 'strong',
+    m: 'moderate',
+    l: 'low',
+    w: 'weak'
+};
+
+const BLEND_REASON_CODES = {
+    tie: 't',
+    weak: 'w'
+};
+
+const BLEND_CODE_REASONS = {
+    t: 'tie',
+    w: 'weak'
+};
+
+const BALANCE_REASON_CODES = {
+    none: 'n',
+    flat: 'f',
+    spread: 's'
+};
+
+const BALANCE_CODE_REASONS = {
+    n: 'none',
+    f: 'flat',
+    s: 'spread'
+};
+
+const TRAIT_COMPRESSION_TABLE = [
+    { id: 'awareness', key: 'aw', min: 0, max: 1, label: 'Awareness' },
+    { id: 'affect', key: 'af', min: -1, max: 1, label: 'Affect' },
+    { id: 'agency', key: 'ag', min: 0, max: 1, label: 'Agency' },
+    { id: 'time', key: 'ti', min: -1, max: 1, label: 'Temporality' },
+    { id: 'relationality', key: 're', min: 0, max: 1, label: 'Relationality' },
+    { id: 'posture', key: 'po', min: 0, max: 1, label: 'Posture' },
+];
+
+function clampNumber(value, min, max) {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+        return min;
+    }
+    return Math.min(max, Math.max(min, value));
+}
+
+function encodeConfidence(confidence) {
+    if (!confidence) return null;
+    const score = typeof confidence.score === 'number'
+        ? clampNumber(Math.round(confidence.score * 100), 0, 100)
+        : null;
+    const levelCode = confidence.level
+        ? (CONFIDENCE_LEVEL_CODES[confidence.level.toLowerCase()] || '')
+        : '';
+    if (score === null && !levelCode) {
+        return null;
+    }
+    return [score, levelCode];
+}
+
+function decodeConfidence(value) {
+    if (!Array.isArray(value)) return null;
+    const [scoreInt, code] = value;
+    const score = typeof scoreInt === 'number'
+        ? clampNumber(scoreInt, 0, 100) / 100
+        : null;
+    const level = typeof code === 'string'
+        ? (CONFIDENCE_CODE_LABELS[code.toLowerCase()] || null)
+        : null;
+    if (score === null && !level) {
+        return null;
+    }
+    return { score, level };
+}
+
+function encodeTraitProfile(traits = null) {
+    if (!traits) return null;
+    const encoded = {};
+    TRAIT_COMPRESSION_TABLE.forEach(({ id, key, min, max }) => {
+        const value = traits[id];
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            const normalized = clampNumber((value - min) / (max - min), 0, 1);
+            encoded[key] = Math.round(normalized * 100);
+        }
+    });
+    return Object.keys(encoded).length ? encoded : null;
+}
+
+function decodeTraitProfile(encoded = null) {
+    if (!encoded) return null;
+    const traits = {};
+    TRAIT_COMPRESSION_TABLE.forEach(({ id, key, min, max }) => {
+        if (Object.prototype.hasOwnProperty.call(encoded, key)) {
+            const normalized = clampNumber(encoded[key], 0, 100) / 100;
+            const value = min + normalized * (max - min);
+            traits[id] = Number(value.toFixed(3));
+        }
+    });
+    return Object.keys(traits).length ? traits : null;
+}
+
+/**
+ * Compresses an engine blend to [reasonCode, [[archetypeId, weightPercent], ...]].
+ *
+ * @param {Object|null} blend - { reason, archetypes: [{archetypeId, weight}] }
+ * @returns {Array|null} Compact blend, or null when there is no blend
+ */
+function encodeBlend(blend = null) {
+    if (!blend || !Array.isArray(blend.archetypes) || blend.archetypes.length < 2) return null;
+    return [
+        BLEND_REASON_CODES[blend.reason] || '',
+        blend.archetypes.map(({ archetypeId, weight }) => [
+            archetypeId,
+            clampNumber(Math.round(weight * 100), 0, 100)
+        ])
+    ];
+}
+
+function decodeBlend(value) {
+    if (!Array.isArray(value) || !Array.isArray(value[1])) return null;
+    const [code, members] = value;
+    const archetypes = members
+        .filter(item => Array.isArray(item) && typeof item[0] === 'string')
+        .map(([archetypeId, weightPercent]) => ({
+            archetypeId,
+            weight: clampNumber(weightPercent, 0, 100) / 100
+        }));
+    if (archetypes.length < 2) return null;
+    return {
+        reason: BLEND_CODE_REASONS[code] || null,
+        archetypes
+    };
+}
+
+/**
+ * Compresses an engine balanced result to [reasonCode, contenderCount].
+ * Contender ids are left out; the top matches already name the leaders.
+ *
+ * @param {Object|null} balanced - { reason, contenders: [archetypeId] }
+ * @returns {Array|null} Compact balanced result, or null when there is none
+ */
+// Takes the engine's {reason, contenders} or a decoded {reason, contenderCount}
+function encodeBalance(balanced = null) {
+    if (!balanced) return null;
+    const contenderCount = Array.isArray(balanced.contenders)
+        ? balanced.contenders.length
+        : balanced.contenderCount;
+    if (typeof contenderCount !== 'number') return null;
+    return [BALANCE_REASON_CODES[balanced.reason] || '', contenderCount];
+}
+
+function decodeBalance(value) {
+    if (!Array.isArray(value)) return null;
+    const [code, contenderCount] = value;
+    return {
+        reason: BALANCE_CODE_REASONS[code] || null,
+        contenderCount: typeof contenderCount === 'number' ? Math.max(0, Math.round(contenderCount)) : null
+    };
+}
+
+/**
+ * Rescales raw dimension totals to 0-100 within each dimension's attainable
+ * range, as calculateDimensionalScores() does. Dimensions without a range
+ * are dropped.
+ *
+ * @param {Object} rawDimensions - {dimensionId: raw total}
+ * @param {Object} dimensionRanges - {dimensionId: {min, max}} from calculateDimensionRanges()
+ * @returns {Object} {dimensionId: 0-100}
+ */
+function rescaleRawDimensions(rawDimensions, dimensionRanges) {
+    const normalized = {};
+    Object.entries(rawDimensions || {}).forEach(([id, raw]) => {
+        const range = dimensionRanges?.[id];
+        if (!range || typeof raw !== 'number' || !Number.isFinite(raw)) return;
+        normalized[id] = range.max === range.min
+            ? 50
+            : clampNumber(((raw - range.min) / (range.max - range.min)) * 100, 0, 100);
+    });
+    return normalized;
+}
+
+/**
+ * Converts scores from the fixed ±LEGACY_DIMENSION_SPAN scale used before
+ * v3 (raw total 0 at 50) to the range scale, via the raw totals they stand
+ * for. v2 stored whole percents, so a converted score can be off by
+ * LEGACY_DIMENSION_SPAN / 50 raw points.
+ *
+ * @param {Object} legacyDimensions - {dimensionId: 0-100 on the legacy scale}
+ * @param {Object} dimensionRanges - {dimensionId: {min, max}} from calculateDimensionRanges()
+ * @returns {Object} {dimensionId: 0-100 on the range scale}
+ */
+function convertLegacyDimensions(legacyDimensions, dimensionRanges) {
+    const rawDimensions = {};
+    Object.entries(legacyDimensions || {}).forEach(([id, value]) => {
+        if (typeof value !== 'number' || !Number.isFinite(value)) return;
+        rawDimensions[id] = (value / 100) * (LEGACY_DIMENSION_SPAN * 2) - LEGACY_DIMENSION_SPAN;
+    });
+    return rescaleRawDimensions(rawDimensions, dimensionRanges);
+}
+
+/**
+ * Removes archetype ids the quiz doesn't know from an internal snapshot.
+ * Snapshots arrive in share links, so their ids can't be trusted: an
+ * unknown primary becomes null, and unknown top matches and blend members
+ * are dropped.
+ *
+ * @param {Object} snapshot - Internal snapshot
+ * @param {Array<string>} archetypeIds - Archetype ids from the quiz data
+ * @returns {Object} Snapshot referencing known archetypes only
+ */
+function dropUnknownArchetypes(snapshot, archetypeIds) {
+    const known = new Set(archetypeIds);
+    const isKnown = id => typeof id === 'string' && known.has(id);
+    const blendMembers = snapshot.blend
+        ? snapshot.blend.archetypes.filter(member => isKnown(member.archetypeId))
+        : [];
+
+    return {
+        ...snapshot,
+        primaryId: isKnown(snapshot.primaryId) ? snapshot.primaryId : null,
+        topMatches: (snapshot.topMatches || []).filter(match => isKnown(match.id)),
+        blend: blendMembers.length >= 2 ? { ...snapshot.blend, archetypes: blendMembers } : null
+    };
+}
+
+/**
+ * Expands a compact v2 or v3 payload into the internal snapshot shape. Pass
+ * `options.archetypeIds` to drop ids the quiz doesn't know.
+ *
+ * v2 dimension scores are converted to the range scale when
+ * `options.dimensionRanges` is given. Without it they are kept as they are
+ * and the snapshot's dimensionScale is 'legacy' rather than 'range', so
+ * callers can keep them apart from current scores.
+ *
+ * @param {Object} rawSnapshot - Compact payload
+ * @param {Object} options - { generatedAt, sharedSource } fallbacks, { archetypeIds, dimensionRanges }
+ * @returns {Object|null} Internal snapshot, or null for other versions
+ */
+function expandCompactSnapshot(rawSnapshot, options = {}) {
+    if (!rawSnapshot || !COMPACT_SNAPSHOT_VERSIONS.includes(rawSnapshot.v)) return null;
+
+    const confidence = rawSnapshot.c ? decodeConfidence(rawSnapshot.c) : null;
+    const traitProfile = rawSnapshot.u ? decodeTraitProfile(rawSnapshot.u) : null;
+    let dimensions = {};
+    const compactDimensions = rawSnapshot.d && typeof rawSnapshot.d === 'object' ? rawSnapshot.d : {};
+    Object.entries(compactDimensions).forEach(([id, value]) => {
+        dimensions[id] = clampNumber(Math.round(value), 0, 100);
+    });
+
+    const legacyScale = rawSnapshot.v < SNAPSHOT_VERSION;
+    if (legacyScale && options.dimensionRanges) {
+        const converted = convertLegacyDimensions(dimensions, options.dimensionRanges);
+        dimensions = Object.fromEntries(Object.entries(converted).map(([id, value]) => [id, Math.round(value)]));
+    }
+    const dimensionScale = legacyScale && !options.dimensionRanges ? 'legacy' : 'range';
+
+    const topMatches = Array.isArray(rawSnapshot.m)
+        ? rawSnapshot.m.filter(item => item && typeof item === 'object').map(item => {
+            if (Array.isArray(item)) {
+                return { id: item[0], score: clampNumber(item[1], 0, 100) };
+            }
+            return {
+                id: item.id,
+                score: clampNumber(item.score, 0, 100)
+            };
+        })
+        : [];
+
+    const [answered, total] = Array.isArray(rawSnapshot.q) ? rawSnapshot.q : [null, null];
+
+    const snapshot = {
+        version: SNAPSHOT_VERSION,
+        generatedAt: rawSnapshot.t ?? options.generatedAt ?? Date.now(),
+        primaryId: rawSnapshot.p || null,
+        confidence,
+        topMatches,
+        dimensions,
+        dimensionScale,
+        traitProfile,
+        questionsAnswered: typeof answered === 'number' ? answered : null,
+        totalQuestions: typeof total === 'number' ? total : null,
+        sharedSource: rawSnapshot.s ?? options.sharedSource ?? null,
+        blend: decodeBlend(rawSnapshot.b),
+        balanced: decodeBalance(rawSnapshot.n),
+        _compact: rawSnapshot
+    };
+
+    return options.archetypeIds ? dropUnknownArchetypes(snapshot, options.archetypeIds) : snapshot;
+}
+
+/**
+ * Serializes a compact payload to URL-safe base64 (no padding).
+ *
+ * @param {Object} payload - Compact snapshot payload
+ * @returns {string} Encoded payload
+ */
+function encodeSnapshotPayload(payload) {
+    const json = JSON.stringify(payload);
+    const binary = String.fromCharCode(...new TextEncoder().encode(json));
+    const base64 = btoa(binary);
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/u, '');
+}
+
+/**
+ * Parses URL-safe base64 back into a compact payload.
+ *
+ * @param {string} encoded - Encoded payload
+ * @returns {Object} Compact snapshot payload
+ * @throws {Error} If the payload is not valid base64 JSON
+ */
+function decodeSnapshotPayload(encoded) {
+    const padded = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const padLength = (4 - (padded.length % 4)) % 4;
+    const base = padded + '='.repeat(padLength);
+    const binary = atob(base);
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    const json = new TextDecoder().decode(bytes);
+    return JSON.parse(json);
+}
+
+/**
+ * Decodes an encoded snapshot into the internal snapshot shape.
+ * Pass `options.expand` to handle payload versions other than compact v2 and v3.
+ *
+ * @param {string} encoded - Encoded payload
+ * @param {Object} options - { expand, generatedAt, sharedSource, archetypeIds, dimensionRanges }
+ * @returns {Object|null} Internal snapshot, or null if it can't be read
+ */
+function decodeResultSnapshot(encoded, options = {}) {
+    const { expand = expandCompactSnapshot, ...expandOptions } = options;
+    try {
+        return expand(decodeSnapshotPayload(encoded), expandOptions);
+    } catch (error) {
+        console.error('Unable to decode snapshot:', error);
+        return null;
+    }
+}
+
+/**
+ * Splits a result hash into the primary payload and an optional
+ * comparison payload: #result=<encoded>&compare=<encoded>
+ *
+ * @param {string} hash - Location hash beginning with RESULT_HASH_PREFIX
+ * @returns {Object} { encoded, compareEncoded }
+ */
+function parseResultHash(hash) {
+    const [encoded, ...params] = hash.slice(RESULT_HASH_PREFIX.length).split('&');
+    const compareParam = params.find(param => param.startsWith(COMPARE_HASH_PARAM));
+    return {
+        encoded,
+        compareEncoded: compareParam ? compareParam.slice(COMPARE_HASH_PARAM.length) : null
+    };
+}
+
+export {
+    SNAPSHOT_VERSION,
+    COMPACT_SNAPSHOT_VERSIONS,
+    RESULT_HASH_PREFIX,
+    COMPARE_HASH_PARAM,
+    TRAIT_COMPRESSION_TABLE,
+    clampNumber,
+    encodeConfidence,
+    decodeConfidence,
+    encodeTraitProfile,
+    decodeTraitProfile,
+    encodeBlend,
+    decodeBlend,
+    encodeBalance,
+    decodeBalance,
+    rescaleRawDimensions,
+    convertLegacyDimensions,
+    dropUnknownArchetypes,
+    expandCompactSnapshot,
+    encodeSnapshotPayload,
+    decodeSnapshotPayload,
+    decodeResultSnapshot,
+    parseResultHash
+};
@@ -5,6 +5,10 @@
  * This module provides transparent, accurate, and efficient scoring logic
  * for determining user archetypes based on quiz responses.
  *
+ * This file is the single copy of the engine. Browsers import it as an ES
+ * module (src/js/app.js); Node loads the same file with import(), as the
+ * test suite and the tools/ scripts do. Keep it free of DOM and Node APIs.
+ *
  * @module scoring-engine
  * @version 1.0.0
  * @see scoring-system.md for mathematical specification
@@ -38,12 +42,71 @@ const CONFIDENCE_THRESHOLDS = {
   MODERATE: 0.2  // ≥20% separation from second place
 };
 
+/**
+ * Archetypes that must score within the MODERATE margin of the leader before
+ * a result counts as balanced rather than blended. About one respondent in
+ * ten answering at random reaches five on the shipped question bank.
+ */
+const BALANCED_MIN_CONTENDERS = 5;
+
+/**
+ * Adaptive ordering defaults.
+ * The core set is asked in fixed order before any targeting begins, so every
+ * respondent gives the engine a broad base to measure leaders from.
+ */
+const ADAPTIVE_CORE_QUESTIONS = 8;
+const ADAPTIVE_LEADER_COUNT = 3;
+
+/**
+ * Additive smoothing for P(answer | archetype). Keeps answers that award an
+ * archetype no points possible, so a single answer never zeroes a belief.
+ */
+const ANSWER_LIKELIHOOD_SMOOTHING = 0.5;
+
+/**
+ * Strategy scoreQuiz() uses when options.strategy isn't given.
+ * Strategies themselves live in the registry (see registerScoringStrategy).
+ */
+const DEFAULT_SCORING_STRATEGY = 'points';
+
+/**
+ * Softmax temperature for probabilistic membership. Applied to normalized
+ * scores (points per weighted question): lower values sharpen the
+ * distribution. 0.25 puts a respondent who answers consistently as one
+ * archetype around 0.7-0.95 on that archetype, and a random respondent
+ * below 0.3 on any single one.
+ */
+const SOFTMAX_TEMPERATURE = 0.25;
+
+/**
+ * Ways scoreQuiz() can turn a result into probabilities over archetypes.
+ */
+const PROBABILITY_METHODS = ['softmax', 'bayesian'];
+
+/**
+ * Metrics for the dimensional strategy.
+ */
+const DIMENSIONAL_METRICS = ['euclidean', 'cosine', 'mahalanobis'];
+
+/**
+ * Ridge added to the diagonal of the archetype profile covariance before
+ * inverting it, so Mahalanobis distance stays defined for degenerate banks.
+ */
+const COVARIANCE_RIDGE = 0.01;
+
+/**
+ * Width of the per-dimension uncertainty band, in standard errors either
+ * side of the score. 1 gives roughly a 68% band.
+ */
+const DIMENSION_BAND_Z = 1;
+
 // ============================================================================
 // ARCHETYPE TRAIT PROFILES
 // ============================================================================
 
 /**
- * Six-dimensional trait profiles for all 19 collapse archetypes.
+ * Mapping from the qualitative `traits` on each archetype in quiz-data.json
+ * to the six-dimensional numeric trait profiles used by trait analysis.
  *
  * Dimensions:
  * - awareness: Recognition of collapse realities [0.0 = Low, 1.0 = High]
@@ -53,167 +116,348 @@ const CONFIDENCE_THRESHOLDS = {
  * - relationality: Social context [0.0 = Individual, 1.0 = Group]
  * - posture: Behavioral stance [0.0 = Passive, 1.0 = Active]
  *
- * Source: Derived from spec.md archetype table
+ * Each entry names the `traits` key it reads (`source`), the numeric value of
+ * each level, and the `dimensionalProfile` dimension it should agree with.
+ * `range` is the [min, max] band on the -3..3 dimensional scale that a level
+ * is consistent with; agency has no counterpart dimension and isn't checked.
+ *
+ * Values follow the spec.md archetype table.
  */
-const ARCHETYPE_TRAIT_PROFILES = {
-  'ostrich': {
-    awareness: 0.2,
-    affect: 0.0,
-    agency: 0.2,
-    time: 0.0,
-    relationality: 0.0,
-    posture: 0.0
-  },
-  'blissed-out-yogi': {
-    awareness: 0.9,
-    affect: 0.8,
-    agency: 0.5,
-    time: 0.0,
-    relationality: 0.0,
-    posture: 0.0
-  },
-  'illusionist': {
-    awareness: 0.5,
-    affect: 0.0,
-    agency: 0.9,
-    time: 0.0,
-    relationality: 1.0,
-    posture: 1.0
-  },
-  'normalizer': {
-    awareness: 0.2,
-    affect: 0.0,
-    agency: 0.5,
-    time: 0.0,
-    relationality: 1.0,
-    posture: 0.0
-  },
-  'prepper': {
-    awareness: 0.9,
-    affect: 0.0,
-    agency: 0.9,
-    time: 1.0,
-    relationality: 0.0,
-    posture: 1.0
-  },
-  'prophet-of-doom': {
-    awareness: 0.9,
-    affect: -0.7,
-    agency: 0.5,
-    time: 1.0,
-    relationality: 0.0,
-    posture: 1.0
-  },
-  'alt-right-collapse-bro': {
-    awareness: 0.5,
-    affect: -0.7,
-    agency: 0.9,
-    time: 1.0,
-    relationality: 1.0,
-    posture: 1.0
-  },
-  'evangelical-nationalist': {
-    awareness: 0.9,
-    affect: 0.8,
-    agency: 0.5,
-    time: 1.0,
-    relationality: 1.0,
-    posture: 1.0
-  },
-  'apocaloptimist': {
-    awareness: 0.9,
-    affect: 0.8,
-    agency: 0.9,
-    time: 1.0,
-    relationality: 0.0,
-    posture: 1.0
-  },
-  'trickster': {
-    awareness: 0.5,
-    affect: 0.0,
-    agency: 0.9,
-    time: 0.0,
-    relationality: 0.0,
-    posture: 1.0
-  },
-  'woke-lefty-socialist': {
-    awareness: 0.9,
-    affect: -0.7,
-    agency: 0.9,
-    time: 1.0,
-    relationality: 1.0,
-    posture: 1.0
-  },
-  'salvager': {
-    awareness: 0.5,
-    affect: 0.0,
-    agency: 0.9,
-    time: 0.0,
-    relationality: 0.0,
-    posture: 1.0
-  },
-  'sacred-keeper': {
-    awareness: 0.9,
-    affect: 0.8,
-    agency: 0.5,
-    time: -1.0,
-    relationality: 1.0,
-    posture: 0.0
-  },
-  'everyday-hustler': {
-    awareness: 0.5,
-    affect: 0.0,
-    agency: 0.9,
-    time: 0.0,
-    relationality: 0.0,
-    posture: 1.0
+const TRAIT_LEVEL_MAPPING = {
+  awareness: {
+    source: 'awareness',
+    dimension: 'cognitive',
+    levels: {
+      Low: { value: 0.2, range: [-3, -1] },
+      Medium: { value: 0.5, range: [-1, 1] },
+      High: { value: 0.9, range: [1, 3] }
+    }
   },
-  'already-collapsed': {
-    awareness: 0.9,
-    affect: -0.7,
-    agency: 0.2,
-    time: 0.0,
-    relationality: 0.0,
-    posture: 0.0
+  affect: {
+    source: 'affect',
+    dimension: 'affective',
+    levels: {
+      Negative: { value: -0.7, range: [-3, -1] },
+      Neutral: { value: 0.0, range: [-1, 1] },
+      Positive: { value: 0.8, range: [1, 3] }
+    }
   },
-  'extracted': {
-    awareness: 0.2,
-    affect: 0.0,
-    agency: 0.2,
-    time: 0.0,
-    relationality: 0.0,
-    posture: 0.0
+  agency: {
+    source: 'agency',
+    dimension: null,
+    levels: {
+      Low: { value: 0.2 },
+      Medium: { value: 0.5 },
+      High: { value: 0.9 }
+    }
   },
-  'child-witness': {
-    awareness: 0.2,
-    affect: 0.0,
-    agency: 0.2,
-    time: 0.0,
-    relationality: 0.0,
-    posture: 0.0
+  time: {
+    source: 'temporality',
+    dimension: 'temporal',
+    levels: {
+      Past: { value: -1.0, range: [-3, -1] },
+      Present: { value: 0.0, range: [-1, 1] },
+      Future: { value: 1.0, range: [1, 3] }
+    }
   },
-  'opportunist-elite': {
-    awareness: 0.9,
-    affect: 0.0,
-    agency: 0.9,
-    time: 1.0,
-    relationality: 0.0,
-    posture: 1.0
+  relationality: {
+    source: 'relationality',
+    dimension: 'relational',
+    levels: {
+      Individual: { value: 0.0, range: [-3, 0] },
+      Group: { value: 1.0, range: [1, 3] }
+    }
   },
-  'conspiracy-theorist': {
-    awareness: 0.5,
-    affect: -0.7,
-    agency: 0.5,
-    time: 0.0,
-    relationality: 0.0,
-    posture: 0.0
+  posture: {
+    source: 'posture',
+    dimension: 'behavioral',
+    levels: {
+      Passive: { value: 0.0, range: [-3, 0] },
+      Active: { value: 1.0, range: [1, 3] }
+    }
   }
 };
 
+/**
+ * Six-dimensional trait profiles for the loaded archetypes, keyed by id.
+ * Empty until loadArchetypeTraitProfiles() is called with the archetypes
+ * from quiz-data.json; the object is filled in place, so imports stay live.
+ */
+const ARCHETYPE_TRAIT_PROFILES = {};
+
 // Pre-computed trait profile norms for optimization
 const TRAIT_PROFILE_NORMS = {};
-for (const [archetypeId, profile] of Object.entries(ARCHETYPE_TRAIT_PROFILES)) {
-  TRAIT_PROFILE_NORMS[archetypeId] = calculateVectorNorm(Object.values(profile));
+
+/**
+ * Builds one archetype's numeric trait profile from its qualitative traits
+ * using TRAIT_LEVEL_MAPPING.
+ *
+ * @param {Object} archetype - Archetype object from quiz-data.json
+ * @returns {Object} Trait profile object with 6 dimensions
+ * @throws {Error} If a trait is missing or uses an unknown level
+ *
+ * @example
+ * deriveTraitProfile({ id: 'prepper', traits: { awareness: 'High', ... } });
+ * // Returns: {awareness: 0.9, affect: 0.0, agency: 0.9, time: 1.0, ...}
+ */
+function deriveTraitProfile(archetype) {
+  const traits = archetype.traits || {};
+  const profile = {};
+
+  Object.entries(TRAIT_LEVEL_MAPPING).forEach(([trait, { source, levels }]) => {
+    const level = traits[source];
+    if (!levels[level]) {
+      throw new Error(
+        `Archetype ${archetype.id} has unknown ${source} level: ${level} ` +
+        `(expected ${Object.keys(levels).join(', ')})`
+      );
+    }
+    profile[trait] = levels[level].value;
+  });
+
+  return profile;
+}
+
+/**
+ * Replaces the engine's archetype trait profiles with ones derived from
+ * quiz data. Call once after loading quiz-data.json and before scoring.
+ *
+ * @param {Array<Object>} archetypes - Archetypes array from quiz-data.json
+ * @returns {Object} The loaded ARCHETYPE_TRAIT_PROFILES
+ * @throws {Error} If any archetype's traits can't be mapped (nothing is replaced)
+ */
+function loadArchetypeTraitProfiles(archetypes) {
+  const derived = {};
+  archetypes.forEach(archetype => {
+    derived[archetype.id] = deriveTraitProfile(archetype);
+  });
+
+  Object.keys(ARCHETYPE_TRAIT_PROFILES).forEach(archetypeId => {
+    delete ARCHETYPE_TRAIT_PROFILES[archetypeId];
+    delete TRAIT_PROFILE_NORMS[archetypeId];
+  });
+
+  Object.entries(derived).forEach(([archetypeId, profile]) => {
+    ARCHETYPE_TRAIT_PROFILES[archetypeId] = profile;
+    TRAIT_PROFILE_NORMS[archetypeId] = calculateVectorNorm(traitProfileToVector(profile));
+  });
+
+  return ARCHETYPE_TRAIT_PROFILES;
+}
+
+/**
+ * Throws unless loadArchetypeTraitProfiles() has run. The functions that
+ * read ARCHETYPE_TRAIT_PROFILES call this first, so a caller that forgets to
+ * load quiz data fails loudly instead of scoring against an empty table.
+ *
+ * @throws {Error} If no trait profiles are loaded
+ */
+function assertTraitProfilesLoaded() {
+  if (Object.keys(ARCHETYPE_TRAIT_PROFILES).length === 0) {
+    throw new Error('No archetype trait profiles loaded - call loadArchetypeTraitProfiles(quizData.archetypes) first');
+  }
+}
+
+/**
+ * Flags archetypes whose qualitative traits disagree with their
+ * dimensionalProfile, e.g. a "Group" relationality paired with a negative
+ * relational score. Uses the ranges in TRAIT_LEVEL_MAPPING.
+ *
+ * @param {Array<Object>} archetypes - Archetypes array from quiz-data.json
+ * @returns {Object} {consistent: boolean, issues: Array<Object>}; each issue is
+ *   {archetypeId, trait, level, dimension, value, expected, message}
+ */
+function checkTraitProfileConsistency(archetypes) {
+  const issues = [];
+
+  archetypes.forEach(archetype => {
+    const traits = archetype.traits || {};
+    const dimensionalProfile = archetype.dimensionalProfile || {};
+
+    Object.entries(TRAIT_LEVEL_MAPPING).forEach(([trait, { source, dimension, levels }]) => {
+      const level = traits[source];
+      const issue = { archetypeId: archetype.id, trait, level, dimension, value: null, expected: null };
+
+      if (!levels[level]) {
+        issues.push({ ...issue, message: `${archetype.id}: unknown ${source} level ${level}` });
+        return;
+      }
+      if (!dimension) return;
+
+      const value = dimensionalProfile[dimension];
+      const [min, max] = levels[level].range;
+
+      if (typeof value !== 'number') {
+        issues.push({ ...issue, expected: [min, max], message: `${archetype.id}: dimensionalProfile missing ${dimension}` });
+      } else if (value < min || value > max) {
+        issues.push({
+          ...issue,
+          value,
+          expected: [min, max],
+          message: `${archetype.id}: ${source} is ${level} but ${dimension} is ${value} (expected ${min} to ${max})`
+        });
+      }
+    });
+  });
+
+  return {
+    consistent: issues.length === 0,
+    issues
+  };
+}
+
+// ============================================================================
+// ARCHETYPE DIMENSIONAL PROFILES
+// ============================================================================
+
+/**
+ * Each loaded archetype's dimensionalProfile from quiz-data.json
+ * (-3..3 per dimension), keyed by id. Filled in place by
+ * loadArchetypeDimensionalProfiles().
+ */
+const ARCHETYPE_DIMENSIONAL_PROFILES = {};
+
+// Dimension order for profile vectors, and the inverse covariance used by
+// the Mahalanobis metric; both are rebuilt on load
+const DIMENSION_IDS = [];
+let inverseProfileCovariance = null;
+
+/**
+ * Replaces the engine's archetype dimensional profiles with the ones in
+ * quiz data. Call once after loading quiz-data.json, alongside
+ * loadArchetypeTraitProfiles(), before scoring with the dimensional strategy.
+ *
+ * Dimensions are taken in first-seen order across all profiles; a dimension
+ * an archetype doesn't list counts as 0.
+ *
+ * @param {Array<Object>} archetypes - Archetypes array from quiz-data.json
+ * @returns {Object} The loaded ARCHETYPE_DIMENSIONAL_PROFILES
+ */
+function loadArchetypeDimensionalProfiles(archetypes) {
+  const dimensionIds = [];
+  archetypes.forEach(archetype => {
+    Object.keys(archetype.dimensionalProfile || {}).forEach(dimension => {
+      if (!dimensionIds.includes(dimension)) dimensionIds.push(dimension);
+    });
+  });
+
+  Object.keys(ARCHETYPE_DIMENSIONAL_PROFILES).forEach(archetypeId => {
+    delete ARCHETYPE_DIMENSIONAL_PROFILES[archetypeId];
+  });
+  DIMENSION_IDS.splice(0, DIMENSION_IDS.length, ...dimensionIds);
+
+  archetypes.forEach(archetype => {
+    if (!archetype.dimensionalProfile) return;
+    const profile = {};
+    dimensionIds.forEach(dimension => {
+      profile[dimension] = archetype.dimensionalProfile[dimension] || 0;
+    });
+    ARCHETYPE_DIMENSIONAL_PROFILES[archetype.id] = profile;
+  });
+
+  const vectors = Object.values(ARCHETYPE_DIMENSIONAL_PROFILES)
+    .map(profile => dimensionIds.map(dimension => profile[dimension]));
+  inverseProfileCovariance = vectors.length && dimensionIds.length
+    ? invertMatrix(calculateCovarianceMatrix(vectors, COVARIANCE_RIDGE))
+    : null;
+
+  return ARCHETYPE_DIMENSIONAL_PROFILES;
+}
+
+// ============================================================================
+// ARCHETYPE FAMILIES
+// ============================================================================
+
+/**
+ * Family id of each loaded archetype, keyed by archetype id. Filled in
+ * place by loadArchetypeFamilies(); FAMILY_IDS keeps the families' order.
+ */
+const ARCHETYPE_FAMILIES = {};
+const FAMILY_IDS = [];
+
+/**
+ * Replaces the engine's archetype families with the ones in quiz data.
+ * Call once after loading quiz-data.json, alongside
+ * loadArchetypeTraitProfiles(). Until then scoreQuiz() reports no families.
+ *
+ * @param {Array<Object>} families - Families array from quiz-data.json
+ *   ([{id, archetypes: [archetypeId]}])
+ * @returns {Object} The loaded ARCHETYPE_FAMILIES
+ * @throws {Error} If an archetype is listed in two families (nothing is replaced)
+ */
+function loadArchetypeFamilies(families = []) {
+  const loaded = {};
+  families.forEach(family => {
+    family.archetypes.forEach(archetypeId => {
+      if (loaded[archetypeId]) {
+        throw new Error(`Archetype ${archetypeId} is in both the ${loaded[archetypeId]} and ${family.id} families`);
+      }
+      loaded[archetypeId] = family.id;
+    });
+  });
+
+  Object.keys(ARCHETYPE_FAMILIES).forEach(archetypeId => {
+    delete ARCHETYPE_FAMILIES[archetypeId];
+  });
+  Object.assign(ARCHETYPE_FAMILIES, loaded);
+  FAMILY_IDS.splice(0, FAMILY_IDS.length, ...families.map(family => family.id));
+
+  return ARCHETYPE_FAMILIES;
+}
+
+/**
+ * Aggregates archetype results into the loaded families.
+ *
+ * Formulas:
+ * S(F) = Σ(A ∈ F) S(A)
+ * P(F) = Σ(A ∈ F) P(A)
+ *
+ * The primary family is the primary archetype's, so the two levels of a
+ * result always agree. The leading family is the one with the highest
+ * probability; it differs from the primary family when several archetypes
+ * of another family share the probability the primary archetype doesn't.
+ * Archetypes outside every family are left out.
+ *
+ * @param {Object} scores - Archetype scores object
+ * @param {Object} distribution - Probability per archetype (sums to 1)
+ * @param {string} primaryArchetype - Primary archetype after tie-breaking
+ * @returns {Object|null} {primary, leading, scores, distribution}, or null
+ *   when no families are loaded
+ *
+ * @example
+ * calculateFamilyScores({prepper: 10, trickster: 4, ostrich: 2},
+ *   {prepper: 0.7, trickster: 0.2, ostrich: 0.1}, 'prepper');
+ * // Returns: { primary: 'adaptive', leading: 'adaptive',
+ * //   scores: {adaptive: 14, avoidant: 2, ...}, distribution: {adaptive: 0.9, avoidant: 0.1, ...} }
+ */
+function calculateFamilyScores(scores, distribution, primaryArchetype) {
+  if (!FAMILY_IDS.length) {
+    return null;
+  }
+
+  const familyScores = {};
+  const familyDistribution = {};
+  FAMILY_IDS.forEach(familyId => {
+    familyScores[familyId] = 0;
+    familyDistribution[familyId] = 0;
+  });
+
+  Object.entries(ARCHETYPE_FAMILIES).forEach(([archetypeId, familyId]) => {
+    familyScores[familyId] += scores[archetypeId] || 0;
+    familyDistribution[familyId] += distribution[archetypeId] || 0;
+  });
+
+  // Ties go to the earlier family in quiz-data order
+  const leading = FAMILY_IDS.reduce((best, familyId) => (
+    familyDistribution[familyId] > familyDistribution[best] ? familyId : best
+  ));
+
+  return {
+    primary: ARCHETYPE_FAMILIES[primaryArchetype] || null,
+    leading,
+    scores: familyScores,
+    distribution: familyDistribution
+  };
 }
 
 // ============================================================================
@@ -242,6 +486,7 @@ for (const [archetypeId, profile] of Object.entries(ARCHETYPE_TRAIT_PROFILES)) {
  * @param {Array<Object>} questions - Array of question objects
  * @param {Array<Object>} userResponses - Array of user response objects
  * @returns {Object} Archetype scores object {archetypeId: score}
+ * @throws {Error} If no trait profiles are loaded
  *
  * @example
  * const scores = calculateArchetypeScores(questions, [
@@ -251,6 +496,8 @@ for (const [archetypeId, profile] of Object.entries(ARCHETYPE_TRAIT_PROFILES)) {
  * // Returns: {ostrich: 3, prepper: 5, ...}
  */
 function calculateArchetypeScores(questions, userResponses) {
+  assertTraitProfilesLoaded();
+
   // Initialize scores for all known archetypes
   const scores = {};
   Object.keys(ARCHETYPE_TRAIT_PROFILES).forEach(archetypeId => {
@@ -299,6 +546,45 @@ function calculateArchetypeScores(questions, userResponses) {
   return scores;
 }
 
+/**
+ * Traces an archetype's score back to the answers that produced it.
+ * Uses the same lookup and weighting as calculateArchetypeScores, so the
+ * contributions always sum to that archetype's score.
+ *
+ * @param {Array<Object>} questions - Array of question objects
+ * @param {Array<Object>} userResponses - Array of {questionId, answerId}
+ * @param {string} archetypeId - Archetype to explain
+ * @returns {Array<Object>} Array of {questionId, answerId, points, weight} in response order
+ */
+function traceArchetypeContributions(questions, userResponses, archetypeId) {
+  const questionMap = {};
+  questions.forEach(q => {
+    questionMap[q.id] = q;
+  });
+
+  const contributions = [];
+
+  userResponses.forEach(response => {
+    const question = questionMap[response.questionId];
+    if (!question) return;
+
+    const selectedAnswer = question.answers.find(a => a.id === response.answerId);
+    const basePoints = selectedAnswer?.archetypeScores?.[archetypeId];
+    if (!basePoints) return;
+
+    const weight = question.weight !== undefined ? question.weight : 1.0;
+
+    contributions.push({
+      questionId: question.id,
+      answerId: selectedAnswer.id,
+      points: weight * basePoints,
+      weight: weight
+    });
+  });
+
+  return contributions;
+}
+
 /**
  * Determines the dominant archetype(s) from calculated scores.
  * Handles ties gracefully by identifying all archetypes within tie tolerance.
@@ -444,6 +730,52 @@ function calculateConfidence(scores) {
   };
 }
 
+/**
+ * Flags a balanced result: answers that point nowhere in particular, so
+ * naming an archetype (or a blend of two or three) would overstate them.
+ *
+ * Reasons:
+ * - 'none': no archetype scored above zero (confidence level NONE)
+ * - 'flat': max(S) - min(S) < MINIMUM_VARIANCE, every archetype level
+ * - 'spread': at least minContenders archetypes score within the
+ *   CONFIDENCE_THRESHOLDS.MODERATE margin of the leader
+ *
+ * @param {Object} scores - Archetype scores object
+ * @param {Object} dominantResult - Output from determineDominantArchetypes
+ * @param {Object} confidence - Output from calculateConfidence
+ * @param {number} minContenders - Contenders that make a spread result balanced
+ *   (default: BALANCED_MIN_CONTENDERS)
+ * @returns {Object|null} {reason, contenders}, contenders best first, or null
+ *   when the answers show a pattern
+ *
+ * @example
+ * determineBalance({a: 10, b: 9, c: 9, d: 8.5, e: 8.2, f: 1}, dominantResult, confidence);
+ * // Returns: { reason: 'spread', contenders: ['a', 'b', 'c', 'd', 'e'] }
+ */
+function determineBalance(scores, dominantResult, confidence, minContenders = BALANCED_MIN_CONTENDERS) {
+  const ranked = Object.entries(scores)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+  if (confidence.level === 'NONE') {
+    return { reason: 'none', contenders: ranked.map(([archetypeId]) => archetypeId) };
+  }
+
+  if (dominantResult.variance < MINIMUM_VARIANCE) {
+    return { reason: 'flat', contenders: ranked.map(([archetypeId]) => archetypeId) };
+  }
+
+  const margin = ranked[0][1] * (1 - CONFIDENCE_THRESHOLDS.MODERATE);
+  const contenders = ranked
+    .filter(([_, score]) => score > 0 && score >= margin)
+    .map(([archetypeId]) => archetypeId);
+
+  if (contenders.length < minContenders) {
+    return null;
+  }
+
+  return { reason: 'spread', contenders };
+}
+
 /**
  * Normalizes archetype scores to average points per weighted question.
  * Enables fair comparison across quizzes of different lengths.
@@ -528,6 +860,92 @@ function calculateCosineSimilarity(vector1, vector2) {
   return dotProduct / (norm1 * norm2);
 }
 
+/**
+ * Builds a blended result when the top archetypes can't be told apart
+ * confidently: a tie, or a lead below CONFIDENCE_THRESHOLDS.MODERATE.
+ *
+ * Members are the primary plus every archetype scoring within the moderate
+ * margin of the leader (tied archetypes always qualify), capped at
+ * maxArchetypes. Weights are each member's share of the members' total.
+ *
+ * @param {Object} scores - Archetype scores object
+ * @param {string} primaryArchetype - Primary archetype after tie-breaking
+ * @param {Object} dominantResult - Output from determineDominantArchetypes
+ * @param {Object} confidence - Output from calculateConfidence
+ * @param {number} maxArchetypes - Maximum number of blended archetypes (default: 3)
+ * @returns {Object|null} {reason, archetypes, traitProfile}, or null when the result is clear
+ */
+function determineBlend(scores, primaryArchetype, dominantResult, confidence, maxArchetypes = 3) {
+  const isUncertain = dominantResult.hasTie ||
+    (typeof confidence.score === 'number' && confidence.score < CONFIDENCE_THRESHOLDS.MODERATE);
+
+  const ranked = Object.entries(scores)
+    .filter(([_, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+  if (!isUncertain || ranked.length < 2) {
+    return null;
+  }
+
+  const margin = ranked[0][1] * (1 - CONFIDENCE_THRESHOLDS.MODERATE);
+  const memberIds = [
+    primaryArchetype,
+    ...ranked
+      .filter(([archetypeId, score]) => score >= margin || dominantResult.dominant.includes(archetypeId))
+      .map(([archetypeId]) => archetypeId)
+      .filter(archetypeId => archetypeId !== primaryArchetype)
+  ].slice(0, Math.max(2, maxArchetypes));
+
+  // A weak lead always leaves second place inside the margin, but keep two
+  // members even if a caller's tie tolerance is unusually wide
+  if (memberIds.length < 2) {
+    memberIds.push(ranked.find(([archetypeId]) => archetypeId !== primaryArchetype)[0]);
+  }
+
+  const memberTotal = memberIds.reduce((sum, archetypeId) => sum + scores[archetypeId], 0);
+  const archetypes = memberIds.map(archetypeId => ({
+    archetypeId,
+    score: scores[archetypeId],
+    weight: scores[archetypeId] / memberTotal
+  }));
+
+  return {
+    reason: dominantResult.hasTie ? 'tie' : 'weak',
+    archetypes,
+    traitProfile: blendTraitProfiles(archetypes)
+  };
+}
+
+/**
+ * Weighted average of archetype trait profiles.
+ *
+ * Formula:
+ * B_dimension = Σ(A) w(A) × A_dimension / Σ(A) w(A)
+ *
+ * @param {Array<Object>} weightedArchetypes - Array of {archetypeId, weight}
+ * @returns {Object|null} Blended trait profile, or null if no member has a profile
+ */
+function blendTraitProfiles(weightedArchetypes) {
+  const members = weightedArchetypes.filter(({ archetypeId, weight }) =>
+    ARCHETYPE_TRAIT_PROFILES[archetypeId] && weight > 0
+  );
+  const totalWeight = members.reduce((sum, { weight }) => sum + weight, 0);
+
+  if (totalWeight === 0) {
+    return null;
+  }
+
+  const blended = {};
+  Object.keys(ARCHETYPE_TRAIT_PROFILES[members[0].archetypeId]).forEach(dimension => {
+    blended[dimension] = members.reduce(
+      (sum, { archetypeId, weight }) => sum + weight * ARCHETYPE_TRAIT_PROFILES[archetypeId][dimension],
+      0
+    ) / totalWeight;
+  });
+
+  return blended;
+}
+
 /**
  * Breaks ties between dominant archetypes using trait-based similarity.
  * Compares user's inferred trait profile against archetype trait profiles.
@@ -540,8 +958,11 @@ function calculateCosineSimilarity(vector1, vector2) {
  * @param {Array<string>} tiedArchetypeIds - Array of tied archetype IDs
  * @param {Object} allScores - Complete archetype scores object
  * @returns {string} Single best-matching archetype ID
+ * @throws {Error} If no trait profiles are loaded
  */
 function breakTieWithTraits(tiedArchetypeIds, allScores) {
+  assertTraitProfilesLoaded();
+
   // Infer user's trait vector from weighted average of their scores
   const userTraitVector = inferUserTraitVector(allScores);
 
@@ -553,14 +974,7 @@ function breakTieWithTraits(tiedArchetypeIds, allScores) {
       return { archetypeId, similarity: 0 };
     }
 
-    const archetypeVector = [
-      archetypeProfile.awareness,
-      archetypeProfile.affect,
-      archetypeProfile.agency,
-      archetypeProfile.time,
-      archetypeProfile.relationality,
-      archetypeProfile.posture
-    ];
+    const archetypeVector = traitProfileToVector(archetypeProfile);
 
     const similarity = calculateCosineSimilarity(userTraitVector, archetypeVector);
 
@@ -588,8 +1002,11 @@ function breakTieWithTraits(tiedArchetypeIds, allScores) {
  *
  * @param {Object} scores - Archetype scores object
  * @returns {Array<number>} Six-dimensional trait vector [A, Af, Ag, T, R, P]
+ * @throws {Error} If no trait profiles are loaded
  */
 function inferUserTraitVector(scores) {
+  assertTraitProfilesLoaded();
+
   const traits = {
     awareness: 0,
     affect: 0,
@@ -634,6 +1051,46 @@ function inferUserTraitVector(scores) {
   ];
 }
 
+/**
+ * Flattens a trait profile object into the vector order used throughout
+ * trait analysis: [awareness, affect, agency, time, relationality, posture].
+ *
+ * @param {Object} traitProfile - Trait profile object with 6 dimensions
+ * @returns {Array<number>} Six-dimensional trait vector
+ */
+function traitProfileToVector(traitProfile) {
+  return [
+    traitProfile.awareness,
+    traitProfile.affect,
+    traitProfile.agency,
+    traitProfile.time,
+    traitProfile.relationality,
+    traitProfile.posture
+  ];
+}
+
+/**
+ * Calculates cosine similarity between a trait profile and each listed
+ * archetype's reference profile. Archetypes without a profile are skipped.
+ *
+ * @param {Object} traitProfile - Trait profile object with 6 dimensions
+ * @param {Array<string>} archetypeIds - Archetypes to compare against
+ * @returns {Array<Object>} Array of {archetypeId, similarity} in input order
+ */
+function calculateTraitSimilarities(traitProfile, archetypeIds) {
+  const userVector = traitProfileToVector(traitProfile);
+
+  return archetypeIds
+    .filter(archetypeId => ARCHETYPE_TRAIT_PROFILES[archetypeId])
+    .map(archetypeId => ({
+      archetypeId,
+      similarity: calculateCosineSimilarity(
+        userVector,
+        traitProfileToVector(ARCHETYPE_TRAIT_PROFILES[archetypeId])
+      )
+    }));
+}
+
 // ============================================================================
 // VISUALIZATION SUPPORT
 // ============================================================================
@@ -743,42 +1200,670 @@ function calculateScoreDistribution(scores) {
 }
 
 // ============================================================================
-// HIGH-LEVEL API
+// DIMENSIONAL SCORES
 // ============================================================================
 
 /**
- * Complete scoring pipeline for the Collapse Archetype Quiz.
- * Orchestrates all scoring, determination, and analysis functions.
- *
- * @param {Array<Object>} questions - Quiz questions with answers
- * @param {Array<Object>} userResponses - User's selected answers
- * @param {Object} options - Configuration options
- * @returns {Object} Complete scoring result with dominant archetype(s) and metadata
+ * Attainable range of each dimension's total over the question bank: per
+ * question, the lowest and highest weighted dimensionScores value among its
+ * answers (an answer that doesn't score the dimension counts as 0), summed.
+ * Also counts the questions that can move each dimension (its items).
  *
- * @example
- * const result = scoreQuiz(questions, userResponses, {
- *   tieTolerance: 0.05,
- *   breakTiesWithTraits: true
- * });
+ * Formula:
+ * min_d = Σ(i=1 to n) w_i × min(a ∈ answers_i) s_a(d)
+ * max_d = Σ(i=1 to n) w_i × max(a ∈ answers_i) s_a(d)
  *
- * console.log(result.primary); // Main archetype ID
- * console.log(result.dominantArchetypes); // All tied archetypes
- * console.log(result.confidence); // Confidence metrics
- * console.log(result.traitProfile); // User's inferred trait vector
+ * @param {Array<Object>} questions - Array of question objects
+ * @returns {Object} {dimensionId: {min, max, items}}, in order of first appearance
+ */
+function calculateDimensionRanges(questions) {
+  const ranges = {};
+
+  questions.forEach(question => {
+    question.answers.forEach(answer => {
+      Object.keys(answer.dimensionScores || {}).forEach(dimension => {
+        if (!ranges[dimension]) ranges[dimension] = { min: 0, max: 0, items: 0 };
+      });
+    });
+  });
+
+  questions.forEach(question => {
+    const weight = question.weight !== undefined ? question.weight : 1.0;
+
+    Object.entries(ranges).forEach(([dimension, range]) => {
+      if (!question.answers.some(answer => answer.dimensionScores?.[dimension] !== undefined)) return;
+
+      const values = question.answers.map(answer => answer.dimensionScores?.[dimension] ?? 0);
+      range.min += weight * Math.min(...values);
+      range.max += weight * Math.max(...values);
+      range.items++;
+    });
+  });
+
+  return ranges;
+}
+
+/**
+ * Dimensional scores for a set of responses: the weighted sum of the chosen
+ * answers' dimensionScores, and that total rescaled to 0-100 against the
+ * range the question bank allows, so 0 and 100 are the lowest and highest
+ * totals a complete quiz can reach on that dimension.
+ *
+ * Formula:
+ * D(d) = Σ(i ∈ answered) w_i × s_i(d)
+ * D_norm(d) = 100 × (D(d) - min_d) / (max_d - min_d)    (50 when max_d = min_d)
+ *
+ * Each dimension also reports how much evidence it rests on: the number of
+ * answered items, the spread (sample standard deviation) of their
+ * contributions w_i × s_i(d), and an uncertainty band on the 0-100 scale.
+ * The band is the standard error of the mean contribution over the k
+ * answered items, scaled up to the dimension's n items. Each item is taken
+ * to vary by v, the larger of the contributions' own variance and the mean
+ * variance of those items' answer options, so two agreeing answers still
+ * carry the uncertainty of only two items:
+ *
+ * margin(d) = DIMENSION_BAND_Z × √(v / k) × n × 100 / (max_d - min_d)
+ * band(d)   = [D_norm(d) - margin(d), D_norm(d) + margin(d)] ∩ [0, 100]
+ *
+ * With no answered items the band is the whole scale.
+ *
+ * @param {Array<Object>} questions - Array of question objects
+ * @param {Array<Object>} userResponses - Array of {questionId, answerId}
+ * @returns {Object} {dimensionId: {raw, normalized, min, max, items, answered,
+ *   spread, margin, band: {low, high}}}
+ */
+function calculateDimensionalScores(questions, userResponses) {
+  const questionMap = {};
+  questions.forEach(q => {
+    questionMap[q.id] = q;
+  });
+
+  const ranges = calculateDimensionRanges(questions);
+  const dimensions = {};
+  const contributions = {};
+  const optionVariances = {};
+  Object.entries(ranges).forEach(([dimension, range]) => {
+    dimensions[dimension] = { raw: 0, normalized: 50, ...range, answered: 0 };
+    contributions[dimension] = [];
+    optionVariances[dimension] = [];
+  });
+
+  userResponses.forEach(response => {
+    const question = questionMap[response.questionId];
+    const selectedAnswer = question?.answers.find(a => a.id === response.answerId);
+    if (!selectedAnswer) return;
+
+    const weight = question.weight !== undefined ? question.weight : 1.0;
+
+    Object.entries(dimensions).forEach(([dimension, scores]) => {
+      if (!question.answers.some(answer => answer.dimensionScores?.[dimension] !== undefined)) return;
+
+      const contribution = weight * (selectedAnswer.dimensionScores?.[dimension] ?? 0);
+      scores.raw += contribution;
+      scores.answered++;
+      contributions[dimension].push(contribution);
+
+      const options = question.answers.map(answer => weight * (answer.dimensionScores?.[dimension] ?? 0));
+      const optionMean = options.reduce((sum, value) => sum + value, 0) / options.length;
+      optionVariances[dimension].push(
+        options.reduce((sum, value) => sum + (value - optionMean) ** 2, 0) / options.length
+      );
+    });
+  });
+
+  Object.entries(dimensions).forEach(([dimension, scores]) => {
+    const values = contributions[dimension];
+    const k = values.length;
+    const mean = k ? values.reduce((sum, value) => sum + value, 0) / k : 0;
+    const variance = k > 1 ? values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (k - 1) : 0;
+    const optionVariance = k ? optionVariances[dimension].reduce((sum, value) => sum + value, 0) / k : 0;
+    const span = scores.max - scores.min;
+
+    if (span > 0) {
+      const normalized = (100 * (scores.raw - scores.min)) / span;
+      scores.normalized = Math.max(0, Math.min(100, normalized));
+    }
+
+    scores.spread = Math.sqrt(variance);
+    scores.margin = k && span > 0
+      ? (DIMENSION_BAND_Z * Math.sqrt(Math.max(variance, optionVariance) / k) * scores.items * 100) / span
+      : (k ? 0 : 100);
+    scores.band = {
+      low: Math.max(0, scores.normalized - scores.margin),
+      high: Math.min(100, scores.normalized + scores.margin)
+    };
+  });
+
+  return dimensions;
+}
+
+// ============================================================================
+// DIMENSIONAL MATCHING
+// ============================================================================
+
+/**
+ * Sample covariance matrix of a set of vectors, with an optional ridge
+ * added to the diagonal.
+ *
+ * Formula:
+ * Σ_jk = Σ_i (x_ij - μ_j)(x_ik - μ_k) / (n - 1) + λ × [j = k]
+ *
+ * @param {Array<Array<number>>} vectors - Equal-length numeric vectors
+ * @param {number} ridge - Diagonal regularization λ (default: 0)
+ * @returns {Array<Array<number>>} Covariance matrix
+ */
+function calculateCovarianceMatrix(vectors, ridge = 0) {
+  const size = vectors[0].length;
+  const n = vectors.length;
+  const means = Array.from({ length: size }, (_, j) =>
+    vectors.reduce((sum, vector) => sum + vector[j], 0) / n
+  );
+
+  return Array.from({ length: size }, (_, j) =>
+    Array.from({ length: size }, (_, k) => {
+      const covariance = n > 1
+        ? vectors.reduce((sum, vector) => sum + (vector[j] - means[j]) * (vector[k] - means[k]), 0) / (n - 1)
+        : 0;
+      return covariance + (j === k ? ridge : 0);
+    })
+  );
+}
+
+/**
+ * Inverts a square matrix by Gauss-Jordan elimination with partial pivoting.
+ *
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @returns {Array<Array<number>>} Inverse matrix
+ * @throws {Error} If the matrix is singular
+ */
+function invertMatrix(matrix) {
+  const size = matrix.length;
+  const augmented = matrix.map((row, i) => [
+    ...row,
+    ...Array.from({ length: size }, (_, j) => (i === j ? 1 : 0))
+  ]);
+
+  for (let column = 0; column < size; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < size; row++) {
+      if (Math.abs(augmented[row][column]) > Math.abs(augmented[pivot][column])) pivot = row;
+    }
+    if (Math.abs(augmented[pivot][column]) < 1e-12) {
+      throw new Error('Matrix is singular');
+    }
+    [augmented[column], augmented[pivot]] = [augmented[pivot], augmented[column]];
+
+    const pivotValue = augmented[column][column];
+    augmented[column] = augmented[column].map(value => value / pivotValue);
+
+    for (let row = 0; row < size; row++) {
+      if (row === column) continue;
+      const factor = augmented[row][column];
+      augmented[row] = augmented[row].map((value, k) => value - factor * augmented[column][k]);
+    }
+  }
+
+  return augmented.map(row => row.slice(size));
+}
+
+/**
+ * Builds the user's dimension vector on the same -3..3 scale as archetype
+ * dimensionalProfiles: for each dimension, the weighted mean of the
+ * dimensionScores from answers that score it (0 if none do).
+ *
+ * Formula:
+ * U_d = Σ(i ∈ answers scoring d) w_i × s_i(d) / Σ(i ∈ answers scoring d) w_i
+ *
+ * @param {Array<Object>} questions - Array of question objects
+ * @param {Array<Object>} userResponses - Array of {questionId, answerId}
+ * @param {Array<string>} dimensionIds - Dimension order (default: loaded dimensions)
+ * @returns {Object} {dimensionId: value}
+ */
+function calculateUserDimensionProfile(questions, userResponses, dimensionIds = DIMENSION_IDS) {
+  const questionMap = {};
+  questions.forEach(q => {
+    questionMap[q.id] = q;
+  });
+
+  const totals = {};
+  const weights = {};
+  dimensionIds.forEach(dimension => {
+    totals[dimension] = 0;
+    weights[dimension] = 0;
+  });
+
+  userResponses.forEach(response => {
+    const question = questionMap[response.questionId];
+    const selectedAnswer = question?.answers.find(a => a.id === response.answerId);
+    if (!selectedAnswer?.dimensionScores) return;
+
+    const weight = question.weight !== undefined ? question.weight : 1.0;
+
+    Object.entries(selectedAnswer.dimensionScores).forEach(([dimension, value]) => {
+      if (totals[dimension] === undefined) return;
+      totals[dimension] += weight * value;
+      weights[dimension] += weight;
+    });
+  });
+
+  const profile = {};
+  dimensionIds.forEach(dimension => {
+    profile[dimension] = weights[dimension] > 0 ? totals[dimension] / weights[dimension] : 0;
+  });
+
+  return profile;
+}
+
+/**
+ * Scores every archetype by how closely its dimensionalProfile matches the
+ * user's dimension profile. Distances are turned into match scores so that,
+ * as with points, higher is better and scores are positive:
+ *
+ * - euclidean:   score = 1 / (1 + ||U - A||)
+ * - mahalanobis: score = 1 / (1 + sqrt((U - A)ᵀ Σ⁻¹ (U - A))),
+ *                Σ = covariance of the archetype profiles (+ ridge)
+ * - cosine:      score = (1 + similarity(U, A)) / 2
+ *
+ * Requires loadArchetypeDimensionalProfiles().
+ *
+ * @param {Array<Object>} questions - Array of question objects
+ * @param {Array<Object>} userResponses - Array of {questionId, answerId}
+ * @param {string} metric - One of DIMENSIONAL_METRICS (default: 'euclidean')
+ * @returns {Object} Archetype match scores {archetypeId: score} in (0, 1]
+ * @throws {Error} If the metric is unknown or no profiles are loaded
+ */
+function calculateDimensionalMatchScores(questions, userResponses, metric = 'euclidean') {
+  if (!DIMENSIONAL_METRICS.includes(metric)) {
+    throw new Error(`Unknown dimensional metric: ${metric} (expected ${DIMENSIONAL_METRICS.join(', ')})`);
+  }
+  if (Object.keys(ARCHETYPE_DIMENSIONAL_PROFILES).length === 0) {
+    throw new Error('No archetype dimensional profiles loaded');
+  }
+
+  const userProfile = calculateUserDimensionProfile(questions, userResponses);
+  const userVector = DIMENSION_IDS.map(dimension => userProfile[dimension]);
+
+  const scores = {};
+  Object.entries(ARCHETYPE_DIMENSIONAL_PROFILES).forEach(([archetypeId, profile]) => {
+    const archetypeVector = DIMENSION_IDS.map(dimension => profile[dimension]);
+
+    if (metric === 'cosine') {
+      scores[archetypeId] = (1 + calculateCosineSimilarity(userVector, archetypeVector)) / 2;
+      return;
+    }
+
+    const difference = userVector.map((value, i) => value - archetypeVector[i]);
+    const distance = metric === 'mahalanobis'
+      ? Math.sqrt(Math.max(0, difference.reduce(
+        (sum, dj, j) => sum + dj * difference.reduce((inner, dk, k) => inner + inverseProfileCovariance[j][k] * dk, 0),
+        0
+      )))
+      : calculateVectorNorm(difference);
+
+    scores[archetypeId] = 1 / (1 + distance);
+  });
+
+  return scores;
+}
+
+// ============================================================================
+// PROBABILISTIC MEMBERSHIP
+// ============================================================================
+
+/**
+ * Softmax over archetype scores.
+ *
+ * Formula:
+ * P(A) = exp(S(A) / T) / Σ(B) exp(S(B) / T)
+ *
+ * @param {Object} scores - Archetype scores object (normalized scores recommended)
+ * @param {number} temperature - Temperature T > 0 (default: SOFTMAX_TEMPERATURE)
+ * @returns {Object} {archetypeId: probability}, summing to 1
+ * @throws {Error} If the temperature isn't positive
+ */
+function calculateSoftmaxProbabilities(scores, temperature = SOFTMAX_TEMPERATURE) {
+  if (!(temperature > 0)) {
+    throw new Error('Softmax temperature must be positive');
+  }
+
+  const entries = Object.entries(scores);
+  if (entries.length === 0) return {};
+
+  // Subtract the maximum so exp() can't overflow
+  const maxScore = Math.max(...entries.map(([_, score]) => score));
+  const exponentials = entries.map(([archetypeId, score]) => [archetypeId, Math.exp((score - maxScore) / temperature)]);
+  const total = exponentials.reduce((sum, [_, value]) => sum + value, 0);
+
+  const probabilities = {};
+  exponentials.forEach(([archetypeId, value]) => {
+    probabilities[archetypeId] = value / total;
+  });
+
+  return probabilities;
+}
+
+/**
+ * Likelihood of each answer to a question for one archetype: the answer's
+ * points for that archetype plus additive smoothing, normalized over the
+ * question's answers.
+ *
+ * Formula:
+ * P(j | A) = (points_j(A) + α) / Σ_k (points_k(A) + α)
+ *
+ * @param {Object} question - Question object with answers
+ * @param {string} archetypeId - Archetype ID
+ * @param {number} smoothing - Additive smoothing α (default: ANSWER_LIKELIHOOD_SMOOTHING)
+ * @returns {Array<number>} Likelihood per answer, in answer order
+ */
+function calculateAnswerLikelihoods(question, archetypeId, smoothing = ANSWER_LIKELIHOOD_SMOOTHING) {
+  const weights = (question.answers || []).map(answer => (answer.archetypeScores?.[archetypeId] || 0) + smoothing);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return weights.map(w => (total > 0 ? w / total : 0));
+}
+
+/**
+ * Bayesian posterior over archetypes, updated once per answer with the
+ * likelihood model from calculateAnswerLikelihoods(). Question weight
+ * tempers each update, so a weight-2 question counts like two answers.
+ * Answers are treated as independent, so the posterior sharpens quickly
+ * over a full quiz; softmax is the gentler default in scoreQuiz().
+ *
+ * Formula (in log space):
+ * log P(A | answers) = log P(A) + Σ(i) w_i × log P(j_i | A) - log Z
+ *
+ * @param {Array<Object>} questions - Array of question objects
+ * @param {Array<Object>} userResponses - Array of {questionId, answerId}
+ * @param {Object} options - Posterior options
+ * @param {Object} options.priors - {archetypeId: weight}; defaults to uniform over
+ *   the loaded archetypes and any archetype the questions award points to
+ * @param {number} options.smoothing - Additive smoothing α (default: ANSWER_LIKELIHOOD_SMOOTHING)
+ * @returns {Object} {archetypeId: probability}, summing to 1
+ */
+function calculateBayesianPosterior(questions, userResponses, options = {}) {
+  const { priors = null, smoothing = ANSWER_LIKELIHOOD_SMOOTHING } = options;
+
+  let prior = priors;
+  if (!prior) {
+    prior = {};
+    Object.keys(ARCHETYPE_TRAIT_PROFILES).forEach(archetypeId => {
+      prior[archetypeId] = 1;
+    });
+    questions.forEach(question => {
+      (question.answers || []).forEach(answer => {
+        Object.keys(answer.archetypeScores || {}).forEach(archetypeId => {
+          prior[archetypeId] = 1;
+        });
+      });
+    });
+  }
+
+  const questionMap = {};
+  questions.forEach(q => {
+    questionMap[q.id] = q;
+  });
+
+  const logPosterior = {};
+  Object.entries(prior).forEach(([archetypeId, weight]) => {
+    if (weight > 0) logPosterior[archetypeId] = Math.log(weight);
+  });
+  const archetypeIds = Object.keys(logPosterior);
+  if (archetypeIds.length === 0) return {};
+
+  userResponses.forEach(response => {
+    const question = questionMap[response.questionId];
+    const answerIndex = question ? question.answers.findIndex(a => a.id === response.answerId) : -1;
+    if (answerIndex === -1) return;
+
+    const weight = question.weight !== undefined ? question.weight : 1.0;
+
+    archetypeIds.forEach(archetypeId => {
+      const likelihood = calculateAnswerLikelihoods(question, archetypeId, smoothing)[answerIndex];
+      logPosterior[archetypeId] += weight * Math.log(likelihood);
+    });
+  });
+
+  // Normalizing log-probabilities is a softmax at temperature 1
+  return calculateSoftmaxProbabilities(logPosterior, 1);
+}
+
+/**
+ * Summarizes a probability distribution for results: the distribution
+ * itself, its Shannon entropy, and entropy as a share of the maximum
+ * (log₂ of the number of archetypes). Normalized entropy near 0 means one
+ * archetype dominates; near 1 means the person is evenly mixed.
+ *
+ * @param {Object} distribution - {archetypeId: probability}
+ * @returns {Object} {distribution, entropy, normalizedEntropy}
+ */
+function summarizeProbabilities(distribution) {
+  const probabilities = Object.values(distribution);
+  const entropy = calculateEntropy(probabilities);
+  const maxEntropy = probabilities.length > 1 ? Math.log2(probabilities.length) : 0;
+
+  return {
+    distribution,
+    entropy,
+    normalizedEntropy: maxEntropy > 0 ? entropy / maxEntropy : 0
+  };
+}
+
+// ============================================================================
+// SCORING STRATEGIES
+// ============================================================================
+
+/**
+ * Registered scoring strategies, keyed by id.
+ *
+ * A strategy turns responses into archetype scores; everything after that
+ * (tie detection, trait tie-break, confidence, blend, trait profile,
+ * visualizations) is shared by scoreQuiz(), so results have the same shape
+ * whichever strategy produced them.
+ *
+ * Strategy interface:
+ * {
+ *   description: string,
+ *   score(questions, userResponses, options) => {
+ *     scores,            // {archetypeId: score}, non-negative, higher is better
+ *     normalizedScores,  // {archetypeId: score} comparable across quiz lengths
+ *     parameters         // Options that shaped the result, e.g. {metric}
+ *   }
+ * }
+ */
+const scoringStrategies = {};
+
+/**
+ * Registers a scoring strategy under an id, replacing any strategy already
+ * registered with that id.
+ *
+ * @param {string} id - Name used in scoreQuiz options.strategy
+ * @param {Object} strategy - Strategy object (see interface above)
+ * @throws {Error} If the id is empty or the strategy has no score function
+ *
+ * @example
+ * registerScoringStrategy('first-answer', {
+ *   description: 'Only the first answer counts',
+ *   score: (questions, responses) => {
+ *     const scores = calculateArchetypeScores(questions, responses.slice(0, 1));
+ *     return { scores, normalizedScores: scores, parameters: {} };
+ *   }
+ * });
+ */
+function registerScoringStrategy(id, strategy) {
+  if (typeof id !== 'string' || id.length === 0) {
+    throw new Error('Scoring strategy id must be a non-empty string');
+  }
+  if (!strategy || typeof strategy.score !== 'function') {
+    throw new Error(`Scoring strategy ${id} must have a score function`);
+  }
+
+  scoringStrategies[id] = {
+    description: strategy.description || '',
+    score: strategy.score
+  };
+}
+
+/**
+ * Removes a registered scoring strategy.
+ *
+ * @param {string} id - Strategy id
+ * @returns {boolean} True if a strategy was removed
+ */
+function unregisterScoringStrategy(id) {
+  if (!scoringStrategies[id]) return false;
+  delete scoringStrategies[id];
+  return true;
+}
+
+/**
+ * Looks up a registered scoring strategy.
+ *
+ * @param {string} id - Strategy id
+ * @returns {Object} Strategy object
+ * @throws {Error} If no strategy is registered under the id
+ */
+function getScoringStrategy(id) {
+  const strategy = scoringStrategies[id];
+  if (!strategy) {
+    throw new Error(`Unknown scoring strategy: ${id} (expected ${listScoringStrategies().join(', ')})`);
+  }
+  return strategy;
+}
+
+/**
+ * @returns {Array<string>} Registered strategy ids in registration order
+ */
+function listScoringStrategies() {
+  return Object.keys(scoringStrategies);
+}
+
+registerScoringStrategy('points', {
+  description: 'Weighted sum of archetypeScores from each chosen answer',
+  score: (questions, userResponses) => {
+    const scores = calculateArchetypeScores(questions, userResponses);
+    return {
+      scores,
+      normalizedScores: normalizeScores(scores, questions),
+      parameters: {}
+    };
+  }
+});
+
+registerScoringStrategy('dimensional', {
+  description: 'Distance between the user\'s dimension profile and each archetype dimensionalProfile',
+  score: (questions, userResponses, { dimensionalMetric = 'euclidean' } = {}) => {
+    const scores = calculateDimensionalMatchScores(questions, userResponses, dimensionalMetric);
+    // Match scores are already on a 0-1 scale
+    return {
+      scores,
+      normalizedScores: { ...scores },
+      parameters: { metric: dimensionalMetric }
+    };
+  }
+});
+
+registerScoringStrategy('softmax', {
+  description: 'Softmax probability over normalized point scores',
+  score: (questions, userResponses, { temperature = SOFTMAX_TEMPERATURE } = {}) => {
+    const pointScores = calculateArchetypeScores(questions, userResponses);
+    const probabilities = calculateSoftmaxProbabilities(normalizeScores(pointScores, questions), temperature);
+    return {
+      scores: probabilities,
+      normalizedScores: { ...probabilities },
+      parameters: { temperature }
+    };
+  }
+});
+
+registerScoringStrategy('bayesian', {
+  description: 'Posterior probability from a per-answer Bayesian update',
+  score: (questions, userResponses, { priors = null, smoothing = ANSWER_LIKELIHOOD_SMOOTHING } = {}) => {
+    const posterior = calculateBayesianPosterior(questions, userResponses, { priors, smoothing });
+    return {
+      scores: posterior,
+      normalizedScores: { ...posterior },
+      parameters: { smoothing }
+    };
+  }
+});
+
+// ============================================================================
+// HIGH-LEVEL API
+// ============================================================================
+
+/**
+ * Complete scoring pipeline for the Collapse Archetype Quiz.
+ * Orchestrates all scoring, determination, and analysis functions.
+ *
+ * @param {Array<Object>} questions - Quiz questions with answers
+ * @param {Array<Object>} userResponses - User's selected answers
+ * @param {Object} options - Configuration options
+ * @param {number} options.tieTolerance - Epsilon for tie detection (default: 0.05)
+ * @param {boolean} options.breakTiesWithTraits - Resolve ties by trait similarity (default: true)
+ * @param {boolean} options.includeVisualizations - Include radar and distribution data (default: true)
+ * @param {string} options.strategy - Registered strategy id (default: 'points');
+ *   the whole options object is passed on to the strategy
+ * @param {string} options.dimensionalMetric - One of DIMENSIONAL_METRICS, for the
+ *   dimensional strategy (default: 'euclidean')
+ * @param {string} options.probabilityMethod - One of PROBABILITY_METHODS (default: 'softmax')
+ * @param {number} options.temperature - Softmax temperature (default: SOFTMAX_TEMPERATURE)
+ * @param {Object} options.priors - Bayesian priors {archetypeId: weight} (default: uniform)
+ * @param {number} options.balancedMinContenders - Contenders that make a result
+ *   balanced (default: BALANCED_MIN_CONTENDERS)
+ * @returns {Object} Complete scoring result with dominant archetype(s) and metadata.
+ *   When no answer awards any points, the result is balanced with reason
+ *   'none' and confidence level NONE instead of an error.
+ *
+ * @example
+ * const result = scoreQuiz(questions, userResponses, {
+ *   tieTolerance: 0.05,
+ *   breakTiesWithTraits: true
+ * });
+ *
+ * console.log(result.primary); // Main archetype ID
+ * console.log(result.dominantArchetypes); // All tied archetypes
+ * console.log(result.confidence); // Confidence metrics
+ * console.log(result.traitProfile); // User's inferred trait vector
+ * console.log(result.dimensions); // Dimension totals, 0-100 within the bank's range
  * console.log(result.radarChart); // Visualization data
  */
 function scoreQuiz(questions, userResponses, options = {}) {
   const {
     tieTolerance = TIE_TOLERANCE,
     breakTiesWithTraits = true,
-    includeVisualizations = true
+    includeVisualizations = true,
+    strategy = DEFAULT_SCORING_STRATEGY,
+    probabilityMethod = 'softmax',
+    temperature = SOFTMAX_TEMPERATURE,
+    priors = null,
+    balancedMinContenders = BALANCED_MIN_CONTENDERS
   } = options;
 
-  // Step 1: Calculate raw archetype scores
-  const scores = calculateArchetypeScores(questions, userResponses);
+  if (!PROBABILITY_METHODS.includes(probabilityMethod)) {
+    throw new Error(`Unknown probability method: ${probabilityMethod} (expected ${PROBABILITY_METHODS.join(', ')})`);
+  }
 
-  // Step 2: Determine dominant archetype(s)
-  const dominantResult = determineDominantArchetypes(scores, tieTolerance);
+  // Step 1: Calculate archetype scores with the selected strategy
+  const {
+    scores,
+    normalizedScores,
+    parameters = {}
+  } = getScoringStrategy(strategy).score(questions, userResponses, options);
+
+  // Step 2: Determine dominant archetype(s). Answers that award no points
+  // leave every archetype tied at zero; rather than reject them as
+  // determineDominantArchetypes() does, Step 6 flags the result balanced
+  // ('none') and the primary is only the first archetype by id
+  const scoreValues = Object.values(scores);
+  const dominantResult = scoreValues.length > 0 && scoreValues.every(score => score === 0)
+    ? {
+      dominant: Object.keys(scores).sort((a, b) => a.localeCompare(b)),
+      scores: { ...scores },
+      maxScore: 0,
+      threshold: 0,
+      hasTie: scoreValues.length > 1,
+      variance: 0
+    }
+    : determineDominantArchetypes(scores, tieTolerance);
 
   // Step 3: Calculate confidence
   const confidence = calculateConfidence(scores);
@@ -789,10 +1874,24 @@ function scoreQuiz(questions, userResponses, options = {}) {
     primaryArchetype = breakTieWithTraits(dominantResult.dominant, scores);
   }
 
-  // Step 5: Calculate normalized scores
-  const normalizedScores = normalizeScores(scores, questions);
+  // Step 5: Flag blended results when the leader isn't clear
+  const blend = determineBlend(scores, primaryArchetype, dominantResult, confidence);
+
+  // Step 6: Flag balanced results when no pattern stands out at all
+  const balanced = determineBalance(scores, dominantResult, confidence, balancedMinContenders);
+
+  // Step 7: Probability of membership in each archetype
+  const probabilities = {
+    method: probabilityMethod,
+    ...summarizeProbabilities(probabilityMethod === 'bayesian'
+      ? calculateBayesianPosterior(questions, userResponses, { priors })
+      : calculateSoftmaxProbabilities(normalizedScores, temperature))
+  };
+
+  // Step 8: Aggregate into archetype families (null until families are loaded)
+  const families = calculateFamilyScores(scores, probabilities.distribution, primaryArchetype);
 
-  // Step 6: Infer user trait profile
+  // Step 9: Infer user trait profile
   const userTraitVector = inferUserTraitVector(scores);
   const userTraitProfile = {
     awareness: userTraitVector[0],
@@ -803,7 +1902,10 @@ function scoreQuiz(questions, userResponses, options = {}) {
     posture: userTraitVector[5]
   };
 
-  // Step 7: Generate visualizations if requested
+  // Step 10: Dimensional scores, scaled to the question bank's range
+  const dimensions = calculateDimensionalScores(questions, userResponses);
+
+  // Step 11: Generate visualizations if requested
   let visualizations = null;
   if (includeVisualizations) {
     const radarCoordinates = calculateRadarChartCoordinates(userTraitProfile);
@@ -821,12 +1923,18 @@ function scoreQuiz(questions, userResponses, options = {}) {
     };
   }
 
-  // Step 8: Assemble complete result
+  // Step 12: Assemble complete result
   return {
     // Primary result
     primary: primaryArchetype,
     primaryScore: scores[primaryArchetype],
 
+    // Strategy that produced allScores, and the options that shaped it
+    strategy: {
+      id: strategy,
+      parameters: parameters
+    },
+
     // All dominant archetypes (for displaying multiple matches)
     dominantArchetypes: dominantResult.dominant,
     dominantScores: dominantResult.scores,
@@ -842,6 +1950,21 @@ function scoreQuiz(questions, userResponses, options = {}) {
     // Confidence metrics
     confidence: confidence,
 
+    // Blended result (null when one archetype leads clearly)
+    blend: blend,
+
+    // Balanced result (null unless many archetypes score about equally)
+    balanced: balanced,
+
+    // Probability over every archetype, with entropy as a mixedness measure
+    probabilities: probabilities,
+
+    // Family-level result above the archetypes
+    families: families,
+
+    // Dimension totals and their 0-100 position in the attainable range
+    dimensions: dimensions,
+
     // Trait analysis
     userTraitProfile: userTraitProfile,
     userTraitVector: userTraitVector,
@@ -856,6 +1979,321 @@ function scoreQuiz(questions, userResponses, options = {}) {
   };
 }
 
+/**
+ * Reports how often each dimensional metric picks the same primary
+ * archetype as the point-sum method across a set of respondents.
+ *
+ * @param {Array<Object>} questions - Quiz questions with answers
+ * @param {Array<Array<Object>>} responseSets - One response array per respondent
+ * @param {Object} options - Options passed through to scoreQuiz
+ * @param {Array<string>} options.metrics - Metrics to compare (default: all DIMENSIONAL_METRICS)
+ * @returns {Object} {respondents, comparisons: [{strategy, metric, agreements, agreementRate}]}
+ */
+function compareScoringStrategies(questions, responseSets, options = {}) {
+  const { metrics = DIMENSIONAL_METRICS, ...scoringOptions } = options;
+  const baseOptions = { ...scoringOptions, includeVisualizations: false };
+
+  const pointPrimaries = responseSets.map(responses =>
+    scoreQuiz(questions, responses, { ...baseOptions, strategy: 'points' }).primary
+  );
+
+  const comparisons = metrics.map(metric => {
+    const agreements = responseSets.filter((responses, index) =>
+      scoreQuiz(questions, responses, { ...baseOptions, strategy: 'dimensional', dimensionalMetric: metric })
+        .primary === pointPrimaries[index]
+    ).length;
+
+    return {
+      strategy: 'dimensional',
+      metric,
+      agreements,
+      agreementRate: responseSets.length ? agreements / responseSets.length : 0
+    };
+  });
+
+  return {
+    respondents: responseSets.length,
+    comparisons
+  };
+}
+
+// ============================================================================
+// RESULT STABILITY
+// ============================================================================
+
+/**
+ * Deterministic pseudo-random generator (mulberry32) so bootstrap runs
+ * can be reproduced from a seed.
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Generator returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Measures how fragile a result is by re-scoring perturbed responses.
+ *
+ * Perturbations:
+ * 1. Answer swaps: each response in turn is replaced by every other answer
+ *    to its question, one at a time
+ * 2. Bootstrap (optional): `bootstrapSamples` resamples of the responses,
+ *    drawn with replacement, so some answers count twice and some not at all
+ *
+ * A question is pivotal when at least one swap of its answer changes the
+ * primary archetype.
+ *
+ * @param {Array<Object>} questions - Quiz questions with answers
+ * @param {Array<Object>} userResponses - User's selected answers
+ * @param {Object} options - Options passed through to scoreQuiz, plus:
+ * @param {number} options.bootstrapSamples - Bootstrap resamples to run (default: 0)
+ * @param {number} options.seed - Seed for bootstrap sampling (default: 1)
+ * @returns {Object} {primary, swaps, bootstrap, pivotalQuestions}
+ *   - swaps: {total, unchanged, stability} where stability = unchanged / total
+ *   - bootstrap: {samples, unchanged, stability}, or null when not requested
+ *   - pivotalQuestions: [{questionId, answerId, swaps, flips, flipsTo}] in
+ *     response order; flipsTo counts the new primary per archetype
+ *
+ * @example
+ * const stability = analyzeResultStability(questions, responses, { bootstrapSamples: 200 });
+ * // stability.swaps.stability → 0.94 (94% of single-answer changes keep the result)
+ */
+function analyzeResultStability(questions, userResponses, options = {}) {
+  const { bootstrapSamples = 0, seed = 1, ...scoringOptions } = options;
+  const baseOptions = { ...scoringOptions, includeVisualizations: false };
+  const primary = scoreQuiz(questions, userResponses, baseOptions).primary;
+
+  // Perturbations that leave no archetype with points have no primary
+  const primaryOf = responses => {
+    try {
+      return scoreQuiz(questions, responses, baseOptions).primary;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  const questionMap = {};
+  questions.forEach(q => {
+    questionMap[q.id] = q;
+  });
+
+  let swapTotal = 0;
+  let swapUnchanged = 0;
+  const pivotalQuestions = [];
+
+  userResponses.forEach((response, index) => {
+    const question = questionMap[response.questionId];
+    if (!question) return;
+
+    const flipsTo = {};
+    let swaps = 0;
+    let flips = 0;
+
+    question.answers
+      .filter(answer => answer.id !== response.answerId)
+      .forEach(answer => {
+        const perturbed = userResponses.slice();
+        perturbed[index] = { questionId: response.questionId, answerId: answer.id };
+        const swappedPrimary = primaryOf(perturbed);
+
+        swaps++;
+        if (swappedPrimary === primary) return;
+        flips++;
+        if (swappedPrimary) {
+          flipsTo[swappedPrimary] = (flipsTo[swappedPrimary] || 0) + 1;
+        }
+      });
+
+    swapTotal += swaps;
+    swapUnchanged += swaps - flips;
+
+    if (flips > 0) {
+      pivotalQuestions.push({
+        questionId: response.questionId,
+        answerId: response.answerId,
+        swaps,
+        flips,
+        flipsTo
+      });
+    }
+  });
+
+  let bootstrap = null;
+  if (bootstrapSamples > 0 && userResponses.length > 0) {
+    const random = createSeededRandom(seed);
+    let unchanged = 0;
+
+    for (let sample = 0; sample < bootstrapSamples; sample++) {
+      const resampled = userResponses.map(() => userResponses[Math.floor(random() * userResponses.length)]);
+      if (primaryOf(resampled) === primary) unchanged++;
+    }
+
+    bootstrap = {
+      samples: bootstrapSamples,
+      unchanged,
+      stability: unchanged / bootstrapSamples
+    };
+  }
+
+  return {
+    primary,
+    swaps: {
+      total: swapTotal,
+      unchanged: swapUnchanged,
+      stability: swapTotal > 0 ? swapUnchanged / swapTotal : 1
+    },
+    bootstrap,
+    pivotalQuestions
+  };
+}
+
+// ============================================================================
+// ADAPTIVE QUESTION ORDERING
+// ============================================================================
+
+/**
+ * Calculates Shannon entropy (bits) of a probability distribution.
+ *
+ * Formula:
+ * H(p) = -Σ p_i × log₂(p_i)
+ *
+ * @param {Array<number>} probabilities - Probabilities summing to 1
+ * @returns {number} Entropy in bits
+ */
+function calculateEntropy(probabilities) {
+  return probabilities.reduce(
+    (sum, p) => (p > 0 ? sum - p * Math.log2(p) : sum),
+    0
+  );
+}
+
+/**
+ * Expected reduction in uncertainty about the leading archetypes from
+ * asking one more question.
+ *
+ * Model:
+ * P(j | A) = (points_j(A) + α) / Σ_k (points_k(A) + α)   // Answer likelihood
+ * P(j)     = Σ_A P(A) × P(j | A)
+ * P(A | j) = P(A) × P(j | A) / P(j)
+ * IG       = H(P(A)) - Σ_j P(j) × H(P(A | j))
+ *
+ * @param {Object} question - Question object with answers
+ * @param {Object} beliefs - Current {archetypeId: probability} over leaders
+ * @param {number} smoothing - Additive smoothing α (default: ANSWER_LIKELIHOOD_SMOOTHING)
+ * @returns {number} Expected information gain in bits (≥ 0)
+ */
+function calculateExpectedInformationGain(question, beliefs, smoothing = ANSWER_LIKELIHOOD_SMOOTHING) {
+  const archetypeIds = Object.keys(beliefs);
+  const answers = question.answers || [];
+
+  if (archetypeIds.length < 2 || answers.length < 2) {
+    return 0;
+  }
+
+  // Likelihood of each answer for each leading archetype
+  const likelihoods = {};
+  archetypeIds.forEach(archetypeId => {
+    likelihoods[archetypeId] = calculateAnswerLikelihoods(question, archetypeId, smoothing);
+  });
+
+  const priorEntropy = calculateEntropy(archetypeIds.map(id => beliefs[id]));
+
+  const expectedPosteriorEntropy = answers.reduce((sum, _, answerIndex) => {
+    const joint = archetypeIds.map(id => beliefs[id] * likelihoods[id][answerIndex]);
+    const answerProbability = joint.reduce((total, p) => total + p, 0);
+    if (answerProbability === 0) return sum;
+
+    const posterior = joint.map(p => p / answerProbability);
+    return sum + answerProbability * calculateEntropy(posterior);
+  }, 0);
+
+  return Math.max(0, priorEntropy - expectedPosteriorEntropy);
+}
+
+/**
+ * Picks the next question for adaptive mode.
+ *
+ * Algorithm:
+ * 1. Ask the first `coreQuestionCount` questions in their fixed order
+ * 2. Stop once confidence reaches CONFIDENCE_THRESHOLDS.STRONG
+ * 3. Otherwise take the top `leaderCount` archetypes, with beliefs
+ *    proportional to their scores, and ask the unanswered question with the
+ *    highest expected information gain (ties go to the earlier question)
+ *
+ * Deterministic: the same responses always select the same question.
+ *
+ * @param {Array<Object>} questions - Full question bank in default order
+ * @param {Array<Object>} userResponses - Responses so far
+ * @param {Object} options - Adaptive options
+ * @param {number} options.coreQuestionCount - Fixed-order questions first (default: 8)
+ * @param {number} options.leaderCount - Leading archetypes to separate (default: 3)
+ * @param {number} options.maxQuestions - Hard cap on questions asked (default: all)
+ * @returns {Object} {question, reason, leaders, informationGain}; question is null when done.
+ *   reason is one of 'core', 'information-gain', 'confident', 'limit', 'exhausted'
+ */
+function selectNextQuestion(questions, userResponses, options = {}) {
+  const {
+    coreQuestionCount = ADAPTIVE_CORE_QUESTIONS,
+    leaderCount = ADAPTIVE_LEADER_COUNT,
+    maxQuestions = questions.length
+  } = options;
+
+  const answeredIds = new Set(userResponses.map(response => response.questionId));
+  const remaining = questions.filter(question => !answeredIds.has(question.id));
+
+  const done = reason => ({ question: null, reason, leaders: [], informationGain: 0 });
+
+  if (remaining.length === 0) {
+    return done('exhausted');
+  }
+  if (userResponses.length >= maxQuestions) {
+    return done('limit');
+  }
+  if (userResponses.length < coreQuestionCount) {
+    return { question: remaining[0], reason: 'core', leaders: [], informationGain: 0 };
+  }
+
+  const scores = calculateArchetypeScores(questions, userResponses);
+  const confidence = calculateConfidence(scores);
+  if (confidence.score >= CONFIDENCE_THRESHOLDS.STRONG) {
+    return done('confident');
+  }
+
+  const leaders = Object.entries(scores)
+    .filter(([_, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, leaderCount);
+  const leaderTotal = leaders.reduce((sum, [_, score]) => sum + score, 0);
+
+  const beliefs = {};
+  leaders.forEach(([archetypeId, score]) => {
+    beliefs[archetypeId] = leaderTotal > 0 ? score / leaderTotal : 1 / leaders.length;
+  });
+
+  let best = { question: remaining[0], informationGain: -1 };
+  remaining.forEach(question => {
+    const informationGain = calculateExpectedInformationGain(question, beliefs);
+    if (informationGain > best.informationGain + 1e-12) {
+      best = { question, informationGain };
+    }
+  });
+
+  return {
+    question: best.question,
+    reason: 'information-gain',
+    leaders: leaders.map(([archetypeId]) => archetypeId),
+    informationGain: Math.max(0, best.informationGain)
+  };
+}
+
 // ============================================================================
 // VALIDATION AND ERROR HANDLING
 // ============================================================================
@@ -955,6 +2393,242 @@ function validateUserResponses(questions, userResponses) {
   };
 }
 
+/**
+ * Checks a value against a JSON Schema. Supports the subset
+ * quiz-data.schema.json uses: type, properties, required,
+ * additionalProperties, items, minItems, minLength, pattern, enum, minimum,
+ * maximum and local $ref ("#/$defs/..."). Other keywords are ignored.
+ *
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @returns {Object} Validation result {valid: boolean, errors: Array<string>}
+ */
+function validateJsonSchema(value, schema) {
+  const errors = [];
+  collectSchemaErrors(value, schema, schema, '', errors);
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+function schemaTypeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesSchemaType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return schemaTypeOf(value) === type;
+}
+
+function collectSchemaErrors(value, schema, rootSchema, path, errors) {
+  const at = path || '(root)';
+
+  if (schema.$ref) {
+    if (!schema.$ref.startsWith('#/')) {
+      throw new Error(`Unsupported schema reference: ${schema.$ref}`);
+    }
+    const target = schema.$ref.slice(2).split('/').reduce((node, key) => node?.[key], rootSchema);
+    if (!target) {
+      throw new Error(`Unresolved schema reference: ${schema.$ref}`);
+    }
+    collectSchemaErrors(value, target, rootSchema, path, errors);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesSchemaType(value, type))) {
+      errors.push(`${at}: expected ${types.join(' or ')}, got ${schemaTypeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${at}: must be at least ${schema.minLength} character(s)`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${at}: ${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${at}: ${value} is below the minimum ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${at}: ${value} is above the maximum ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${at}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        collectSchemaErrors(item, schema.items, rootSchema, `${path}[${index}]`, errors);
+      });
+    }
+  }
+
+  if (schemaTypeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) {
+        errors.push(`${at}: missing required property "${key}"`);
+      }
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      if (properties[key]) {
+        collectSchemaErrors(child, properties[key], rootSchema, childPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${at}: unknown property "${key}"`);
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        collectSchemaErrors(child, schema.additionalProperties, rootSchema, childPath, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Strict validation of a whole quiz-data.json document: its structure
+ * against quiz-data.schema.json, then the cross-references the schema
+ * can't express.
+ *
+ * Cross-reference checks:
+ * - Dimension, archetype, question and answer ids are unique
+ *   (answer ids across the whole bank)
+ * - Question dimensions, dimensionScores keys and dimensionalProfile keys
+ *   are metadata.dimensions ids, and every profile covers every dimension
+ * - archetypeScores keys are archetype ids
+ * - dimensionScores and dimensionalProfile values lie within
+ *   scoringAlgorithm.dimensions.scale
+ * - Trait levels are ones TRAIT_LEVEL_MAPPING knows
+ * - When families are given, family ids are unique and every archetype is
+ *   in exactly one family
+ *
+ * Cross-references are only checked once the structure is valid.
+ *
+ * @param {Object} quizData - Parsed quiz-data.json
+ * @param {Object} schema - Parsed quiz-data.schema.json
+ * @returns {Object} Validation result {valid: boolean, errors: Array<string>}
+ */
+function validateQuizDataStrict(quizData, schema) {
+  const structure = validateJsonSchema(quizData, schema);
+  if (!structure.valid) {
+    return structure;
+  }
+
+  const errors = [];
+  const checkUnique = (ids, label) => {
+    const seen = new Set();
+    ids.forEach(({ id, where }) => {
+      if (seen.has(id)) {
+        errors.push(`${where}: duplicate ${label} id "${id}"`);
+      }
+      seen.add(id);
+    });
+  };
+
+  const dimensionIds = quizData.metadata.dimensions.map(dimension => dimension.id);
+  const archetypeIds = quizData.archetypes.map(archetype => archetype.id);
+  const { min, max } = quizData.scoringAlgorithm.dimensions.scale;
+
+  if (min > max) {
+    errors.push(`scoringAlgorithm.dimensions.scale: min ${min} is above max ${max}`);
+  }
+
+  checkUnique(quizData.metadata.dimensions.map((d, i) => ({ id: d.id, where: `metadata.dimensions[${i}]` })), 'dimension');
+  checkUnique(quizData.archetypes.map((a, i) => ({ id: a.id, where: `archetypes[${i}]` })), 'archetype');
+  checkUnique(quizData.questions.map((q, i) => ({ id: q.id, where: `questions[${i}]` })), 'question');
+  checkUnique(quizData.questions.flatMap((q, i) =>
+    q.answers.map((a, j) => ({ id: a.id, where: `questions[${i}].answers[${j}]` }))
+  ), 'answer');
+
+  const checkDimensionValues = (scores, where) => {
+    Object.entries(scores).forEach(([dimensionId, value]) => {
+      if (!dimensionIds.includes(dimensionId)) {
+        errors.push(`${where}: unknown dimension "${dimensionId}"`);
+      }
+      if (value < min || value > max) {
+        errors.push(`${where}.${dimensionId}: ${value} is outside the scale ${min} to ${max}`);
+      }
+    });
+  };
+
+  quizData.questions.forEach((question, i) => {
+    if (question.dimension !== undefined && !dimensionIds.includes(question.dimension)) {
+      errors.push(`questions[${i}].dimension: unknown dimension "${question.dimension}"`);
+    }
+
+    question.answers.forEach((answer, j) => {
+      const where = `questions[${i}].answers[${j}]`;
+      checkDimensionValues(answer.dimensionScores || {}, `${where}.dimensionScores`);
+      Object.keys(answer.archetypeScores).forEach(archetypeId => {
+        if (!archetypeIds.includes(archetypeId)) {
+          errors.push(`${where}.archetypeScores: unknown archetype "${archetypeId}"`);
+        }
+      });
+    });
+  });
+
+  quizData.archetypes.forEach((archetype, i) => {
+    const where = `archetypes[${i}]`;
+    checkDimensionValues(archetype.dimensionalProfile, `${where}.dimensionalProfile`);
+    dimensionIds.forEach(dimensionId => {
+      if (!(dimensionId in archetype.dimensionalProfile)) {
+        errors.push(`${where}.dimensionalProfile: missing dimension "${dimensionId}"`);
+      }
+    });
+
+    Object.values(TRAIT_LEVEL_MAPPING).forEach(({ source, levels }) => {
+      const level = archetype.traits[source];
+      if (!levels[level]) {
+        errors.push(`${where}.traits.${source}: unknown level "${level}" (expected ${Object.keys(levels).join(', ')})`);
+      }
+    });
+  });
+
+  // Families are optional, but when present every archetype is in exactly one
+  if (quizData.families) {
+    checkUnique(quizData.families.map((f, i) => ({ id: f.id, where: `families[${i}]` })), 'family');
+
+    const familyOf = {};
+    quizData.families.forEach((family, i) => {
+      family.archetypes.forEach((archetypeId, j) => {
+        const where = `families[${i}].archetypes[${j}]`;
+        if (!archetypeIds.includes(archetypeId)) {
+          errors.push(`${where}: unknown archetype "${archetypeId}"`);
+        } else if (familyOf[archetypeId]) {
+          errors.push(`${where}: archetype "${archetypeId}" is already in family "${familyOf[archetypeId]}"`);
+        } else {
+          familyOf[archetypeId] = family.id;
+        }
+      });
+    });
+
+    archetypeIds.forEach(archetypeId => {
+      if (!familyOf[archetypeId]) {
+        errors.push(`families: archetype "${archetypeId}" is in no family`);
+      }
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
 // ============================================================================
 // EXPORTS
 // ============================================================================
@@ -963,15 +2637,41 @@ function validateUserResponses(questions, userResponses) {
 export {
   // Core scoring
   calculateArchetypeScores,
+  traceArchetypeContributions,
   determineDominantArchetypes,
   calculateConfidence,
+  determineBalance,
   normalizeScores,
 
+  // Trait profiles
+  deriveTraitProfile,
+  loadArchetypeTraitProfiles,
+  checkTraitProfileConsistency,
+
+  // Dimensional scores
+  calculateDimensionRanges,
+  calculateDimensionalScores,
+
+  // Archetype families
+  loadArchetypeFamilies,
+  calculateFamilyScores,
+
+  // Dimensional matching
+  loadArchetypeDimensionalProfiles,
+  calculateUserDimensionProfile,
+  calculateDimensionalMatchScores,
+  calculateCovarianceMatrix,
+  invertMatrix,
+
   // Trait analysis
   inferUserTraitVector,
   calculateCosineSimilarity,
   calculateVectorNorm,
   breakTieWithTraits,
+  determineBlend,
+  blendTraitProfiles,
+  traitProfileToVector,
+  calculateTraitSimilarities,
 
   // Visualizations
   calculateRadarChartCoordinates,
@@ -980,15 +2680,51 @@ export {
 
   // High-level API
   scoreQuiz,
+  compareScoringStrategies,
+
+  // Scoring strategies
+  registerScoringStrategy,
+  unregisterScoringStrategy,
+  getScoringStrategy,
+  listScoringStrategies,
+
+  // Probabilistic membership
+  calculateSoftmaxProbabilities,
+  calculateAnswerLikelihoods,
+  calculateBayesianPosterior,
+  summarizeProbabilities,
+
+  // Result stability
+  analyzeResultStability,
+
+  // Adaptive ordering
+  calculateEntropy,
+  calculateExpectedInformationGain,
+  selectNextQuestion,
 
   // Validation
   validateQuizData,
   validateUserResponses,
+  validateJsonSchema,
+  validateQuizDataStrict,
 
   // Constants and data
+  TRAIT_LEVEL_MAPPING,
   ARCHETYPE_TRAIT_PROFILES,
   TRAIT_PROFILE_NORMS,
+  ARCHETYPE_DIMENSIONAL_PROFILES,
+  DIMENSION_IDS,
+  ARCHETYPE_FAMILIES,
+  FAMILY_IDS,
+  DEFAULT_SCORING_STRATEGY,
+  SOFTMAX_TEMPERATURE,
+  PROBABILITY_METHODS,
+  DIMENSIONAL_METRICS,
+  DIMENSION_BAND_Z,
   TIE_TOLERANCE,
   MINIMUM_VARIANCE,
-  CONFIDENCE_THRESHOLDS
+  CONFIDENCE_THRESHOLDS,
+  BALANCED_MIN_CONTENDERS,
+  ADAPTIVE_CORE_QUESTIONS,
+  ADAPTIVE_LEADER_COUNT
 };
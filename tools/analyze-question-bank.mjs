@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * COLLAPSE ARCHETYPE QUIZ - QUESTION BANK ITEM ANALYSIS
+ *
+ * Reports what each question can measure and, given real responses, how
+ * well the questions hang together. Run it before editing or adding
+ * questions to see which archetypes and dimensions are thinly covered.
+ *
+ * Usage:
+ *   node tools/analyze-question-bank.mjs [options]
+ *
+ * Options:
+ *   --quiz <path>             Quiz data (default: src/data/quiz-data.json)
+ *   --responses <path>        Respondents file (JSON or CSV, as for
+ *                             score-responses.mjs) for answer frequencies,
+ *                             inter-item correlations and Cronbach's alpha
+ *   --input-format json|csv   Override format inferred from the extension
+ *   --format text|json        Output format (default: text)
+ *   --output, -o <path>       Write to a file instead of stdout
+ *   --help, -h                Show usage
+ *
+ * Exit codes:
+ *   0  Report written
+ *   1  Report written, but some respondents failed validation and were skipped
+ *   2  Usage error, unreadable input, or invalid quiz data
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { validateQuizData, validateUserResponses } from '../src/js/scoring-engine.js';
+import { analyzeQuestionBank } from './item-analysis.mjs';
+import { readQuizData, readRespondents } from './response-files.mjs';
+
+const DEFAULT_QUIZ_PATH = fileURLToPath(new URL('../src/data/quiz-data.json', import.meta.url));
+
+const USAGE = `Usage: node tools/analyze-question-bank.mjs [options]
+
+Options:
+  --quiz <path>             Quiz data (default: src/data/quiz-data.json)
+  --responses <path>        Respondents file for response statistics
+  --input-format json|csv   Override format inferred from the extension
+  --format text|json        Output format (default: text)
+  --output, -o <path>       Write to a file instead of stdout
+  --help, -h                Show usage`;
+
+function round(value) {
+    return typeof value === 'number' ? Number(value.toFixed(3)) : value;
+}
+
+function formatStat(value) {
+    return value === null ? 'n/a' : round(value).toFixed(3);
+}
+
+function roundReport(value) {
+    if (Array.isArray(value)) return value.map(roundReport);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, roundReport(v)]));
+    }
+    return round(value);
+}
+
+function toText(quizData, report) {
+    const names = Object.fromEntries((quizData.archetypes || []).map(a => [a.id, a.name]));
+    const lines = [`Question bank: ${report.questions} question(s), ${Object.keys(report.maxAttainableScores).length} archetype(s)`, ''];
+
+    lines.push('Coverage per archetype (questions that can score it, max attainable score):');
+    Object.entries(report.maxAttainableScores)
+        .sort(([, a], [, b]) => a - b)
+        .forEach(([archetypeId, maxScore]) => {
+            const questions = report.coverage.filter(q => q.archetypes[archetypeId] > 0).length;
+            lines.push(`  ${(names[archetypeId] || archetypeId).padEnd(28)} ${String(questions).padStart(3)}  ${round(maxScore)}`);
+        });
+
+    lines.push('', 'Coverage per dimension (questions that score it):');
+    const dimensionIds = [...new Set([
+        ...(quizData.metadata?.dimensions || []).map(d => d.id),
+        ...report.coverage.flatMap(q => q.dimensions)
+    ])];
+    dimensionIds.forEach(dimensionId => {
+        const questions = report.coverage.filter(q => q.dimensions.includes(dimensionId)).map(q => q.questionId);
+        lines.push(`  ${dimensionId.padEnd(28)} ${String(questions.length).padStart(3)}  ${questions.join(', ')}`);
+    });
+
+    lines.push('', `Unreachable archetypes: ${report.unreachableArchetypes.length ? report.unreachableArchetypes.join(', ') : 'none'}`);
+
+    lines.push('', `Answers that never win (best option for no archetype): ${report.nonWinningAnswers.length || 'none'}`);
+    report.nonWinningAnswers.forEach(({ questionId, answerId, text }) => {
+        lines.push(`  ${questionId}/${answerId}  ${text}`);
+    });
+
+    if (report.responses) {
+        const { respondents, neverChosen, dimensions } = report.responses;
+        lines.push('', `Responses: ${respondents} respondent(s)`);
+
+        lines.push('', `Answers nobody chose: ${neverChosen.length || 'none'}`);
+        neverChosen.forEach(({ questionId, answerId, text }) => {
+            lines.push(`  ${questionId}/${answerId}  ${text}`);
+        });
+
+        lines.push('', 'Reliability per dimension:');
+        Object.entries(dimensions).forEach(([dimensionId, stats]) => {
+            lines.push(`  ${dimensionId}: ${stats.items.length} item(s), n=${stats.completeRespondents}, ` +
+                `alpha=${formatStat(stats.alpha)}, mean inter-item r=${formatStat(stats.meanInterItemCorrelation)}`);
+            Object.entries(stats.itemTotalCorrelations).forEach(([questionId, r]) => {
+                lines.push(`    ${questionId.padEnd(8)} corrected item-total r=${formatStat(r)}`);
+            });
+        });
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+function fail(message, code = 2) {
+    process.stderr.write(`${message}\n`);
+    process.exitCode = code;
+}
+
+async function main(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                quiz: { type: 'string' },
+                responses: { type: 'string' },
+                'input-format': { type: 'string' },
+                format: { type: 'string', default: 'text' },
+                output: { type: 'string', short: 'o' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        return fail(`${error.message}\n\n${USAGE}`);
+    }
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+    if (!['text', 'json'].includes(values.format)) {
+        return fail(`Unknown output format: ${values.format} (expected text or json)`);
+    }
+    if (values['input-format'] && !['json', 'csv'].includes(values['input-format'])) {
+        return fail(`Unknown input format: ${values['input-format']} (expected json or csv)`);
+    }
+
+    let quizData;
+    let respondents = null;
+    try {
+        quizData = await readQuizData(values.quiz || DEFAULT_QUIZ_PATH);
+        if (values.responses) {
+            respondents = await readRespondents(values.responses, values['input-format']);
+        }
+    } catch (error) {
+        return fail(error.message);
+    }
+
+    const quizValidation = validateQuizData(quizData.questions);
+    if (!quizValidation.valid) {
+        quizValidation.errors.forEach(error => process.stderr.write(`quiz data: ${error}\n`));
+        return fail('Quiz data failed validation; nothing was analyzed.');
+    }
+
+    let invalidCount = 0;
+    const validRespondents = respondents && respondents.filter(respondent => {
+        const validation = respondent.errors.length
+            ? { valid: false, errors: respondent.errors }
+            : validateUserResponses(quizData.questions, respondent.responses);
+        if (!validation.valid) {
+            invalidCount++;
+            validation.errors.forEach(error => process.stderr.write(`${respondent.id}: ${error}\n`));
+        }
+        return validation.valid;
+    });
+
+    const report = analyzeQuestionBank(quizData, validRespondents);
+    const output = values.format === 'json'
+        ? `${JSON.stringify(roundReport(report), null, 2)}\n`
+        : toText(quizData, report);
+
+    if (values.output) {
+        try {
+            await writeFile(values.output, output);
+        } catch (error) {
+            return fail(`Unable to write ${values.output}: ${error.message}`);
+        }
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (invalidCount) {
+        fail(`${invalidCount} of ${respondents.length} respondent(s) failed validation and were skipped.`, 1);
+    }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+/**
+ * COLLAPSE ARCHETYPE QUIZ - ARCHETYPE REACHABILITY AUDIT
+ *
+ * Runs answer combinations through scoreQuiz() and reports how often each
+ * archetype comes out as the primary result, an example answer set that
+ * produces it, and which archetypes fall outside an allowed win-rate band.
+ * Run it in CI after editing archetypeScores. See reachability.mjs for how
+ * combinations are chosen.
+ *
+ * The answer set is not a minimal path: it answers all questions, and comes
+ * from a greedy search that can miss a set that exists ('no answer set').
+ * Only an archetype no answer scores is reported 'unreachable'.
+ *
+ * Archetypes listed in the baseline file are accepted outside the band as
+ * long as their win rate doesn't move further out than the recorded one;
+ * each entry records why and its tracking issue. Accepted archetypes still
+ * miss the band: the baseline stops them getting worse, it doesn't pass them.
+ *
+ * Usage:
+ *   node tools/audit-reachability.mjs [options]
+ *
+ * Options:
+ *   --quiz <path>            Quiz data (default: src/data/quiz-data.json)
+ *   --strategy <id>          Scoring strategy (default: points)
+ *   --samples <n>            Combinations to score (default: 10000)
+ *   --seed <n>               Random seed (default: 1)
+ *   --min-rate <rate>        Lowest acceptable win rate
+ *                            (default: a tenth of an even share, 0.1 / archetypes)
+ *   --max-rate <rate>        Highest acceptable win rate
+ *                            (default: three even shares, 3 / archetypes)
+ *   --baseline <path>        Accepted out-of-band archetypes
+ *                            (default: tools/reachability-baseline.json)
+ *   --strict                 Ignore the baseline
+ *   --format text|json       Output format (default: text)
+ *   --output, -o <path>      Write to a file instead of stdout
+ *   --help, -h               Show usage
+ *
+ * Exit codes:
+ *   0  Every archetype is inside the band or no worse than its baseline entry
+ *   1  One or more archetypes are unreachable, have no answer set, or are
+ *      outside the band beyond their baseline
+ *   2  Usage error, unreadable input, or invalid quiz data
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import {
+    listScoringStrategies,
+    loadArchetypeDimensionalProfiles,
+    loadArchetypeTraitProfiles,
+    validateQuizData
+} from '../src/js/scoring-engine.js';
+import { auditReachability, defaultWinRateBand } from './reachability.mjs';
+import { readQuizData } from './response-files.mjs';
+
+const DEFAULT_QUIZ_PATH = fileURLToPath(new URL('../src/data/quiz-data.json', import.meta.url));
+const DEFAULT_BASELINE_PATH = fileURLToPath(new URL('./reachability-baseline.json', import.meta.url));
+const DEFAULT_SAMPLES = 10000;
+
+const USAGE = `Usage: node tools/audit-reachability.mjs [options]
+
+Options:
+  --quiz <path>            Quiz data (default: src/data/quiz-data.json)
+  --strategy <id>          ${listScoringStrategies().join(', ')} (default: points)
+  --samples <n>            Combinations to score (default: ${DEFAULT_SAMPLES})
+  --seed <n>               Random seed (default: 1)
+  --min-rate <rate>        Lowest acceptable win rate (default: 0.1 / archetypes)
+  --max-rate <rate>        Highest acceptable win rate (default: 3 / archetypes)
+  --baseline <path>        Accepted out-of-band archetypes
+                           (default: tools/reachability-baseline.json)
+  --strict                 Ignore the baseline
+  --format text|json       Output format (default: text)
+  --output, -o <path>      Write to a file instead of stdout
+  --help, -h               Show usage
+
+Each archetype's answer set is one complete set of answers (all questions,
+found greedily) that makes it primary, not the fewest answers that decide
+it. 'no answer set' means the search found none; 'unreachable' means no
+answer scores the archetype at all.`;
+
+function formatAnswerSet(answerSet) {
+    return answerSet ? answerSet.map(response => response.answerId).join(' ') : 'none found';
+}
+
+function toText(report, names) {
+    const { mode, combinations, scored, band, archetypes } = report;
+    const lines = [
+        `Strategy: ${report.strategy}`,
+        mode === 'exhaustive'
+            ? `Scored all ${scored} answer combinations`
+            : `Scored ${scored} random answer combinations of ${combinations.toExponential(2)} (seed ${report.seed})`,
+        `Win-rate band: ${band.min} to ${band.max}`,
+        ''
+    ];
+
+    archetypes.forEach(entry => {
+        const flag = ['ok', 'accepted'].includes(entry.status) ? '  ' : '! ';
+        lines.push(`${flag}${(names[entry.archetypeId] || entry.archetypeId).padEnd(28)} ` +
+            `${(entry.winRate * 100).toFixed(2).padStart(6)}%  ${entry.status}`);
+        lines.push(`    answer set: ${formatAnswerSet(entry.answerSet)}`);
+        if (entry.reason) {
+            lines.push(`    accepted:   ${entry.reason}`);
+            lines.push(`    issue:      ${entry.issue || 'none recorded'}`);
+        }
+    });
+
+    const violations = archetypes.filter(entry => !['ok', 'accepted'].includes(entry.status));
+    const acceptedCount = archetypes.filter(entry => entry.status === 'accepted').length;
+    lines.push('');
+    if (violations.length) {
+        lines.push(`${violations.length} archetype(s) unreachable, without an answer set, or outside the win-rate band.`);
+    }
+    if (acceptedCount) {
+        lines.push(`${acceptedCount} archetype(s) outside the band or without an answer set, accepted by the baseline.`);
+    }
+    if (!violations.length && !acceptedCount) {
+        lines.push('Every archetype has an answer set and is inside the win-rate band.');
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+async function readBaseline(path) {
+    let baseline;
+    try {
+        baseline = JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read baseline from ${path}: ${error.message}`);
+    }
+    if (!baseline || typeof baseline.accepted !== 'object') {
+        throw new Error(`Baseline in ${path} has no accepted object`);
+    }
+    return baseline.accepted;
+}
+
+function fail(message, code = 2) {
+    process.stderr.write(`${message}\n`);
+    process.exitCode = code;
+}
+
+function parseNumberOption(values, name, { integer = false, min = 0, max = Infinity } = {}) {
+    if (values[name] === undefined) return undefined;
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+        throw new Error(`Invalid --${name}: ${values[name]}`);
+    }
+    return value;
+}
+
+async function main(argv) {
+    let values;
+    let samples;
+    let seed;
+    let minRate;
+    let maxRate;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                quiz: { type: 'string' },
+                strategy: { type: 'string', default: 'points' },
+                samples: { type: 'string' },
+                seed: { type: 'string' },
+                'min-rate': { type: 'string' },
+                'max-rate': { type: 'string' },
+                baseline: { type: 'string' },
+                strict: { type: 'boolean' },
+                format: { type: 'string', default: 'text' },
+                output: { type: 'string', short: 'o' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+        samples = parseNumberOption(values, 'samples', { integer: true, min: 1 }) ?? DEFAULT_SAMPLES;
+        seed = parseNumberOption(values, 'seed', { integer: true }) ?? 1;
+        minRate = parseNumberOption(values, 'min-rate', { max: 1 });
+        maxRate = parseNumberOption(values, 'max-rate', { max: 1 });
+    } catch (error) {
+        return fail(`${error.message}\n\n${USAGE}`);
+    }
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+    if (!['text', 'json'].includes(values.format)) {
+        return fail(`Unknown output format: ${values.format} (expected text or json)`);
+    }
+    if (!listScoringStrategies().includes(values.strategy)) {
+        return fail(`Unknown strategy: ${values.strategy} (expected ${listScoringStrategies().join(', ')})`);
+    }
+
+    let quizData;
+    try {
+        quizData = await readQuizData(values.quiz || DEFAULT_QUIZ_PATH);
+    } catch (error) {
+        return fail(error.message);
+    }
+
+    const quizValidation = validateQuizData(quizData.questions);
+    if (!quizValidation.valid) {
+        quizValidation.errors.forEach(error => process.stderr.write(`quiz data: ${error}\n`));
+        return fail('Quiz data failed validation; nothing was audited.');
+    }
+
+    try {
+        loadArchetypeTraitProfiles(quizData.archetypes || []);
+        loadArchetypeDimensionalProfiles(quizData.archetypes || []);
+    } catch (error) {
+        return fail(`quiz data: ${error.message}`);
+    }
+
+    const defaultBand = defaultWinRateBand((quizData.archetypes || []).length);
+    const band = {
+        min: minRate ?? defaultBand.min,
+        max: maxRate ?? defaultBand.max
+    };
+    if (band.min > band.max) {
+        return fail(`--min-rate ${band.min} is above --max-rate ${band.max}`);
+    }
+
+    let accepted = {};
+    if (!values.strict) {
+        try {
+            accepted = await readBaseline(values.baseline || DEFAULT_BASELINE_PATH);
+        } catch (error) {
+            return fail(error.message);
+        }
+    }
+
+    const report = auditReachability(quizData, { strategy: values.strategy, samples, seed, band, accepted });
+
+    const names = Object.fromEntries((quizData.archetypes || []).map(archetype => [archetype.id, archetype.name]));
+    const output = values.format === 'json'
+        ? `${JSON.stringify(report, null, 2)}\n`
+        : toText(report, names);
+
+    if (values.output) {
+        try {
+            await writeFile(values.output, output);
+        } catch (error) {
+            return fail(`Unable to write ${values.output}: ${error.message}`);
+        }
+    } else {
+        process.stdout.write(output);
+    }
+
+    const { archetypes } = report;
+    const violations = archetypes.filter(entry => !['ok', 'accepted'].includes(entry.status)).length;
+    if (violations) {
+        fail(`${violations} of ${archetypes.length} archetype(s) unreachable, without an answer set, or outside the win-rate band ${band.min}-${band.max}.`, 1);
+    }
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+/**
+ * COLLAPSE ARCHETYPE QUIZ - TRAIT PROFILE CONSISTENCY CHECK
+ *
+ * Derives every archetype's six-trait profile from quiz data and flags
+ * archetypes whose qualitative traits disagree with their dimensionalProfile.
+ * Run it after adding or editing an archetype.
+ *
+ * Usage:
+ *   node tools/check-trait-profiles.mjs [--quiz <path>]
+ *
+ * Exit codes:
+ *   0  Traits and dimensional profiles agree
+ *   1  One or more disagreements were found
+ *   2  Usage error, unreadable quiz data, or traits that can't be mapped
+ */
+
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import {
+    checkTraitProfileConsistency,
+    loadArchetypeTraitProfiles
+} from '../src/js/scoring-engine.js';
+import { readQuizData } from './response-files.mjs';
+
+const DEFAULT_QUIZ_PATH = fileURLToPath(new URL('../src/data/quiz-data.json', import.meta.url));
+
+const USAGE = `Usage: node tools/check-trait-profiles.mjs [options]
+
+Options:
+  --quiz <path>            Quiz data (default: src/data/quiz-data.json)
+  --help, -h               Show usage`;
+
+function fail(message, code = 2) {
+    process.stderr.write(`${message}\n`);
+    process.exitCode = code;
+}
+
+async function main(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                quiz: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        return fail(`${error.message}\n\n${USAGE}`);
+    }
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+
+    let quizData;
+    try {
+        quizData = await readQuizData(values.quiz || DEFAULT_QUIZ_PATH);
+    } catch (error) {
+        return fail(error.message);
+    }
+
+    const archetypes = quizData.archetypes || [];
+    try {
+        loadArchetypeTraitProfiles(archetypes);
+    } catch (error) {
+        return fail(`quiz data: ${error.message}`);
+    }
+
+    const { consistent, issues } = checkTraitProfileConsistency(archetypes);
+    if (consistent) {
+        process.stdout.write(`${archetypes.length} archetype(s) checked; traits agree with dimensional profiles.\n`);
+        return;
+    }
+
+    issues.forEach(issue => process.stdout.write(`${issue.message}\n`));
+    fail(`${issues.length} disagreement(s) across ${archetypes.length} archetype(s).`, 1);
+}
+
+main(process.argv.slice(2));
@@ -0,0 +1,304 @@
+/**
+ * COLLAPSE ARCHETYPE QUIZ - QUESTION BANK ITEM ANALYSIS
+ *
+ * Pure functions behind tools/analyze-question-bank.mjs. The structural
+ * checks need only quiz-data.json; the psychometric ones need a pool of
+ * respondents (see response-files.mjs for the formats).
+ *
+ * Psychometric items are defined per dimension: a question is an item of a
+ * dimension when any of its answers scores that dimension, and a
+ * respondent's item score is the chosen answer's dimensionScores value
+ * (0 when that answer doesn't score the dimension).
+ */
+
+function questionWeight(question) {
+    return question.weight !== undefined ? question.weight : 1.0;
+}
+
+function archetypeIdsOf(quizData) {
+    const ids = (quizData.archetypes || []).map(archetype => archetype.id);
+    quizData.questions.forEach(question => {
+        question.answers.forEach(answer => {
+            Object.keys(answer.archetypeScores || {}).forEach(archetypeId => {
+                if (!ids.includes(archetypeId)) ids.push(archetypeId);
+            });
+        });
+    });
+    return ids;
+}
+
+function dimensionIdsOf(quizData) {
+    const ids = (quizData.metadata?.dimensions || []).map(dimension => dimension.id);
+    quizData.questions.forEach(question => {
+        question.answers.forEach(answer => {
+            Object.keys(answer.dimensionScores || {}).forEach(dimensionId => {
+                if (!ids.includes(dimensionId)) ids.push(dimensionId);
+            });
+        });
+    });
+    return ids;
+}
+
+/**
+ * Which archetypes and dimensions each question can move.
+ *
+ * @param {Object} quizData - Parsed quiz-data.json
+ * @returns {Array<Object>} [{questionId, answers, archetypes: {id: maxPoints}, dimensions}]
+ *   in question order; maxPoints is the best single answer's unweighted points
+ */
+function analyzeQuestionCoverage(quizData) {
+    return quizData.questions.map(question => {
+        const archetypes = {};
+        const dimensions = [];
+
+        question.answers.forEach(answer => {
+            Object.entries(answer.archetypeScores || {}).forEach(([archetypeId, points]) => {
+                archetypes[archetypeId] = Math.max(archetypes[archetypeId] || 0, points);
+            });
+            Object.keys(answer.dimensionScores || {}).forEach(dimensionId => {
+                if (!dimensions.includes(dimensionId)) dimensions.push(dimensionId);
+            });
+        });
+
+        return {
+            questionId: question.id,
+            answers: question.answers.length,
+            archetypes,
+            dimensions
+        };
+    });
+}
+
+/**
+ * Highest score each archetype can reach: the weighted best answer for it on
+ * every question.
+ *
+ * @param {Object} quizData - Parsed quiz-data.json
+ * @returns {Object} {archetypeId: maxScore}, including archetypes no answer scores
+ */
+function calculateMaxAttainableScores(quizData) {
+    const maxScores = {};
+    archetypeIdsOf(quizData).forEach(archetypeId => {
+        maxScores[archetypeId] = 0;
+    });
+
+    quizData.questions.forEach(question => {
+        const weight = questionWeight(question);
+        Object.keys(maxScores).forEach(archetypeId => {
+            const best = Math.max(0, ...question.answers.map(answer => answer.archetypeScores?.[archetypeId] || 0));
+            maxScores[archetypeId] += weight * best;
+        });
+    });
+
+    return maxScores;
+}
+
+/**
+ * Archetypes no answer awards points to, so no respondent can land on them.
+ *
+ * @param {Object} quizData - Parsed quiz-data.json
+ * @returns {Array<string>} Archetype ids
+ */
+function findUnreachableArchetypes(quizData) {
+    return Object.entries(calculateMaxAttainableScores(quizData))
+        .filter(([_, maxScore]) => maxScore <= 0)
+        .map(([archetypeId]) => archetypeId);
+}
+
+/**
+ * Answer options that never win: on their question they are not the
+ * highest-scoring option for any archetype, so choosing them never helps an
+ * archetype more than some other option would.
+ *
+ * @param {Object} quizData - Parsed quiz-data.json
+ * @returns {Array<Object>} [{questionId, answerId, text}]
+ */
+function findNonWinningAnswers(quizData) {
+    const nonWinning = [];
+
+    quizData.questions.forEach(question => {
+        const best = {};
+        question.answers.forEach(answer => {
+            Object.entries(answer.archetypeScores || {}).forEach(([archetypeId, points]) => {
+                best[archetypeId] = Math.max(best[archetypeId] || 0, points);
+            });
+        });
+
+        question.answers.forEach(answer => {
+            const wins = Object.entries(answer.archetypeScores || {})
+                .some(([archetypeId, points]) => points > 0 && points === best[archetypeId]);
+            if (!wins) {
+                nonWinning.push({ questionId: question.id, answerId: answer.id, text: answer.text });
+            }
+        });
+    });
+
+    return nonWinning;
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function variance(values) {
+    const average = mean(values);
+    return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Pearson correlation, or null when either variable has no variance.
+ */
+function pearsonCorrelation(x, y) {
+    const meanX = mean(x);
+    const meanY = mean(y);
+    let covariance = 0;
+    let sumSquaresX = 0;
+    let sumSquaresY = 0;
+
+    x.forEach((value, i) => {
+        covariance += (value - meanX) * (y[i] - meanY);
+        sumSquaresX += (value - meanX) ** 2;
+        sumSquaresY += (y[i] - meanY) ** 2;
+    });
+
+    if (sumSquaresX === 0 || sumSquaresY === 0) return null;
+    return covariance / Math.sqrt(sumSquaresX * sumSquaresY);
+}
+
+/**
+ * Cronbach's alpha for a respondents × items score matrix.
+ *
+ * Formula:
+ * α = k / (k - 1) × (1 - Σ var(item) / var(total))
+ *
+ * @param {Array<Array<number>>} matrix - One row per respondent
+ * @returns {number|null} Alpha, or null with fewer than 2 items, 2 respondents
+ *   or a zero-variance total
+ */
+function calculateCronbachAlpha(matrix) {
+    const k = matrix[0]?.length || 0;
+    if (k < 2 || matrix.length < 2) return null;
+
+    const itemVariances = Array.from({ length: k }, (_, j) => variance(matrix.map(row => row[j])));
+    const totalVariance = variance(matrix.map(row => row.reduce((sum, value) => sum + value, 0)));
+    if (totalVariance === 0) return null;
+
+    return (k / (k - 1)) * (1 - itemVariances.reduce((sum, v) => sum + v, 0) / totalVariance);
+}
+
+/**
+ * Item analysis from real responses.
+ *
+ * - Answer frequencies per question, and options nobody chose
+ * - Per dimension, over respondents who answered every item of it:
+ *   Cronbach's alpha, mean inter-item correlation, the full inter-item
+ *   correlation matrix, and each item's corrected item-total correlation
+ *   (the item against the sum of the other items)
+ *
+ * @param {Object} quizData - Parsed quiz-data.json
+ * @param {Array<Object>} respondents - [{id, responses: [{questionId, answerId}]}]
+ * @returns {Object} {respondents, answerFrequencies, neverChosen, dimensions}
+ */
+function analyzeResponses(quizData, respondents) {
+    const chosen = respondents.map(({ responses }) => {
+        const byQuestion = {};
+        responses.forEach(({ questionId, answerId }) => {
+            byQuestion[questionId] = answerId;
+        });
+        return byQuestion;
+    });
+
+    const answerFrequencies = {};
+    const neverChosen = [];
+    quizData.questions.forEach(question => {
+        const counts = {};
+        question.answers.forEach(answer => {
+            counts[answer.id] = chosen.filter(byQuestion => byQuestion[question.id] === answer.id).length;
+            if (counts[answer.id] === 0) {
+                neverChosen.push({ questionId: question.id, answerId: answer.id, text: answer.text });
+            }
+        });
+        answerFrequencies[question.id] = counts;
+    });
+
+    const dimensions = {};
+    dimensionIdsOf(quizData).forEach(dimensionId => {
+        const items = quizData.questions.filter(question =>
+            question.answers.some(answer => answer.dimensionScores?.[dimensionId] !== undefined)
+        );
+        const itemIds = items.map(question => question.id);
+
+        // Listwise deletion: only respondents with a valid answer to every item
+        const matrix = [];
+        chosen.forEach(byQuestion => {
+            const row = items.map(question => {
+                const answer = question.answers.find(a => a.id === byQuestion[question.id]);
+                return answer ? (answer.dimensionScores?.[dimensionId] || 0) : null;
+            });
+            if (row.every(value => value !== null)) matrix.push(row);
+        });
+
+        const correlations = itemIds.map((_, i) => itemIds.map((__, j) => (
+            i === j ? 1 : (matrix.length > 1 ? pearsonCorrelation(matrix.map(r => r[i]), matrix.map(r => r[j])) : null)
+        )));
+        const offDiagonal = correlations
+            .flatMap((row, i) => row.filter((value, j) => j > i && value !== null));
+
+        const itemTotal = {};
+        itemIds.forEach((questionId, i) => {
+            itemTotal[questionId] = matrix.length > 1 && itemIds.length > 1
+                ? pearsonCorrelation(
+                    matrix.map(row => row[i]),
+                    matrix.map(row => row.reduce((sum, value, j) => (j === i ? sum : sum + value), 0))
+                )
+                : null;
+        });
+
+        dimensions[dimensionId] = {
+            items: itemIds,
+            completeRespondents: matrix.length,
+            alpha: calculateCronbachAlpha(matrix),
+            meanInterItemCorrelation: offDiagonal.length ? mean(offDiagonal) : null,
+            interItemCorrelations: correlations,
+            itemTotalCorrelations: itemTotal
+        };
+    });
+
+    return {
+        respondents: respondents.length,
+        answerFrequencies,
+        neverChosen,
+        dimensions
+    };
+}
+
+/**
+ * Full report: structural checks, plus response statistics when
+ * respondents are given.
+ *
+ * @param {Object} quizData - Parsed quiz-data.json
+ * @param {Array<Object>|null} respondents - Optional respondent pool
+ * @returns {Object} {questions, coverage, maxAttainableScores, unreachableArchetypes,
+ *   nonWinningAnswers, responses}
+ */
+function analyzeQuestionBank(quizData, respondents = null) {
+    return {
+        questions: quizData.questions.length,
+        coverage: analyzeQuestionCoverage(quizData),
+        maxAttainableScores: calculateMaxAttainableScores(quizData),
+        unreachableArchetypes: findUnreachableArchetypes(quizData),
+        nonWinningAnswers: findNonWinningAnswers(quizData),
+        responses: respondents ? analyzeResponses(quizData, respondents) : null
+    };
+}
+
+export {
+    analyzeQuestionCoverage,
+    calculateMaxAttainableScores,
+    findUnreachableArchetypes,
+    findNonWinningAnswers,
+    pearsonCorrelation,
+    calculateCronbachAlpha,
+    analyzeResponses,
+    analyzeQuestionBank
+};
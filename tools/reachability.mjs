@@ -0,0 +1,265 @@
+/**
+ * COLLAPSE ARCHETYPE QUIZ - ARCHETYPE REACHABILITY
+ *
+ * Pure functions behind tools/audit-reachability.mjs. They score answer
+ * combinations with the engine, so the caller must load the archetype
+ * profiles (loadArchetypeTraitProfiles() and, for the dimensional strategy,
+ * loadArchetypeDimensionalProfiles()) first.
+ *
+ * Combinations are enumerated when there are no more of them than the
+ * sample size, and otherwise drawn uniformly at random (each question's
+ * answer picked with equal probability) from a seeded generator, so a given
+ * seed always gives the same report. Uniform answering is a baseline for the
+ * question bank, not a model of real respondents.
+ */
+
+import { getScoringStrategy, scoreQuiz } from '../src/js/scoring-engine.js';
+import { findUnreachableArchetypes } from './item-analysis.mjs';
+
+/**
+ * Seeded uniform [0, 1) generator (mulberry32, as in the engine's bootstrap).
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function countCombinations(questions) {
+    return questions.reduce((product, question) => product * question.answers.length, 1);
+}
+
+/**
+ * Every complete answer set, in odometer order.
+ */
+function* enumerateResponses(questions) {
+    const indices = questions.map(() => 0);
+    while (true) {
+        yield questions.map((question, i) => ({ questionId: question.id, answerId: question.answers[indices[i]].id }));
+
+        let position = questions.length - 1;
+        while (position >= 0 && ++indices[position] === questions[position].answers.length) {
+            indices[position] = 0;
+            position--;
+        }
+        if (position < 0) return;
+    }
+}
+
+function* sampleResponses(questions, samples, seed) {
+    const random = createSeededRandom(seed);
+    for (let i = 0; i < samples; i++) {
+        yield questions.map(question => ({
+            questionId: question.id,
+            answerId: question.answers[Math.floor(random() * question.answers.length)].id
+        }));
+    }
+}
+
+/**
+ * Primary-archetype counts over enumerated or sampled answer sets.
+ *
+ * @returns {Object} {mode: 'exhaustive'|'sampled', combinations, scored, wins: {archetypeId: count}}
+ */
+function measureWinRates(questions, archetypeIds, { samples, seed, scoringOptions }) {
+    const combinations = countCombinations(questions);
+    const exhaustive = combinations <= samples;
+    const wins = Object.fromEntries(archetypeIds.map(id => [id, 0]));
+    let scored = 0;
+
+    const responseSets = exhaustive ? enumerateResponses(questions) : sampleResponses(questions, samples, seed);
+    for (const responses of responseSets) {
+        const { primary } = scoreQuiz(questions, responses, { ...scoringOptions, includeVisualizations: false });
+        wins[primary] = (wins[primary] || 0) + 1;
+        scored++;
+    }
+
+    return { mode: exhaustive ? 'exhaustive' : 'sampled', combinations, scored, wins };
+}
+
+/**
+ * How far archetypeId leads the best other archetype (negative when behind).
+ */
+function calculateLead(questions, responses, archetypeId, scoringOptions) {
+    const { scores } = getScoringStrategy(scoringOptions.strategy).score(questions, responses, scoringOptions);
+    const rivalBest = Math.max(...Object.entries(scores)
+        .filter(([id]) => id !== archetypeId)
+        .map(([, score]) => score));
+    return (scores[archetypeId] || 0) - rivalBest;
+}
+
+/**
+ * Answer to add that most improves archetypeId's lead, from questions not yet
+ * answered. Ties go to the earlier question and answer.
+ */
+function chooseBestAnswer(questions, responses, archetypeId, scoringOptions) {
+    const answered = new Set(responses.map(response => response.questionId));
+    let best = null;
+
+    questions.filter(question => !answered.has(question.id)).forEach(question => {
+        question.answers.forEach(answer => {
+            const response = { questionId: question.id, answerId: answer.id };
+            const lead = calculateLead(questions, [...responses, response], archetypeId, scoringOptions);
+            if (!best || lead > best.lead) best = { response, lead };
+        });
+    });
+
+    return best.response;
+}
+
+/**
+ * A complete answer set (every question answered, as the quiz requires
+ * before showing results) that makes archetypeId primary, found greedily:
+ * keep adding the answer that most improves the archetype's lead, then
+ * revisit each question until no single change helps.
+ *
+ * This is an example, not a minimal path: it always answers every question,
+ * and fewer answers might already decide the result. Greedy search can also
+ * miss a set that exists, so null means none was found, not that the
+ * archetype is unreachable.
+ *
+ * @returns {Array<Object>|null} Responses in question order, or null
+ */
+function findAnswerSet(questions, archetypeId, scoringOptions) {
+    const responses = [];
+    while (responses.length < questions.length) {
+        responses.push(chooseBestAnswer(questions, responses, archetypeId, scoringOptions));
+    }
+
+    let improved = true;
+    while (improved) {
+        improved = false;
+        responses.forEach((response, i) => {
+            const others = responses.filter((_, j) => j !== i);
+            const best = chooseBestAnswer(questions, others, archetypeId, scoringOptions);
+            if (calculateLead(questions, [...others, best], archetypeId, scoringOptions) >
+                calculateLead(questions, responses, archetypeId, scoringOptions)) {
+                responses[i] = best;
+                improved = true;
+            }
+        });
+    }
+
+    const { primary } = scoreQuiz(questions, responses, { ...scoringOptions, includeVisualizations: false });
+    return primary === archetypeId
+        ? questions.map(question => responses.find(response => response.questionId === question.id))
+        : null;
+}
+
+/**
+ * Status of one archetype against the win-rate band.
+ *
+ * When the search found no complete answer set the status is 'no answer
+ * set', unless the baseline records that too (answerSetFound: false).
+ * Outside the band an archetype is 'accepted' when the baseline records it
+ * and its rate is no further outside than the recorded one, and otherwise
+ * 'below band' or 'above band'.
+ *
+ * @param {number} winRate - Share of answer sets it wins
+ * @param {Object} band - {min, max}
+ * @param {Object|null} accepted - Baseline entry {winRate, answerSetFound, reason, issue}, if any
+ * @param {boolean} answerSetFound - Whether a complete answer set was found
+ * @returns {string} 'ok', 'accepted', 'below band', 'above band' or 'no answer set'
+ */
+function classifyWinRate(winRate, band, accepted = null, answerSetFound = true) {
+    if (!answerSetFound) {
+        return accepted?.answerSetFound === false && winRate >= accepted.winRate ? 'accepted' : 'no answer set';
+    }
+    if (winRate >= band.min && winRate <= band.max) return 'ok';
+
+    const below = winRate < band.min;
+    if (accepted && (below ? winRate >= accepted.winRate : winRate <= accepted.winRate)) {
+        return 'accepted';
+    }
+    return below ? 'below band' : 'above band';
+}
+
+function round(value) {
+    return Number(value.toFixed(4));
+}
+
+/**
+ * Default win-rate band: a tenth of to three times an even share.
+ *
+ * @param {number} archetypeCount - Number of archetypes
+ * @returns {Object} {min, max}
+ */
+function defaultWinRateBand(archetypeCount) {
+    return {
+        min: round(0.1 / archetypeCount),
+        max: round(Math.min(1, 3 / archetypeCount))
+    };
+}
+
+/**
+ * Full audit of a question bank.
+ *
+ * @param {Object} quizData - Parsed quiz-data.json, with profiles loaded
+ * @param {Object} options
+ * @param {string} options.strategy - Scoring strategy id (default: 'points')
+ * @param {number} options.samples - Most combinations to score
+ * @param {number} options.seed - Seed for sampling
+ * @param {Object} options.band - {min, max} (default: defaultWinRateBand())
+ * @param {Object} options.accepted - {archetypeId: {winRate, answerSetFound, reason, issue}} from the baseline
+ * @returns {Object} {strategy, mode, combinations, scored, seed, band, archetypes:
+ *   [{archetypeId, wins, winRate, status, answerSet, reason, issue}]}
+ *
+ * An archetype no answer scores is 'unreachable', which no baseline entry
+ * excuses; see classifyWinRate() for the other statuses.
+ */
+function auditReachability(quizData, options = {}) {
+    const { strategy = 'points', samples = 10000, seed = 1, accepted = {} } = options;
+    const { questions } = quizData;
+    const archetypeIds = (quizData.archetypes || []).map(archetype => archetype.id);
+    const band = options.band || defaultWinRateBand(archetypeIds.length);
+
+    const scoringOptions = { strategy };
+    const { mode, combinations, scored, wins } = measureWinRates(questions, archetypeIds, { samples, seed, scoringOptions });
+    const unreachable = findUnreachableArchetypes(quizData);
+
+    const archetypes = archetypeIds.map(archetypeId => {
+        const winRate = round(wins[archetypeId] / scored);
+        const scoreless = unreachable.includes(archetypeId);
+        const answerSet = scoreless ? null : findAnswerSet(questions, archetypeId, scoringOptions);
+        const status = scoreless
+            ? 'unreachable'
+            : classifyWinRate(winRate, band, accepted[archetypeId] || null, answerSet !== null);
+        const entry = status === 'accepted' ? accepted[archetypeId] : null;
+
+        return {
+            archetypeId,
+            wins: wins[archetypeId],
+            winRate,
+            status,
+            answerSet,
+            reason: entry ? entry.reason : null,
+            issue: entry ? entry.issue ?? null : null
+        };
+    });
+
+    return {
+        strategy,
+        mode,
+        combinations,
+        scored,
+        seed: mode === 'sampled' ? seed : null,
+        band,
+        archetypes
+    };
+}
+
+export {
+    createSeededRandom,
+    countCombinations,
+    enumerateResponses,
+    measureWinRates,
+    findAnswerSet,
+    classifyWinRate,
+    defaultWinRateBand,
+    auditReachability
+};
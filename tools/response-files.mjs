@@ -0,0 +1,214 @@
+/**
+ * COLLAPSE ARCHETYPE QUIZ - RESPONSE FILE I/O
+ *
+ * Shared by the offline Node tools. Reads respondent files in JSON or CSV
+ * and writes CSV output.
+ *
+ * JSON input (either form, optionally wrapped as { "respondents": [...] }):
+ *   [{ "id": "r1", "responses": [{ "questionId": "q1", "answerId": "q1a2" }] }]
+ *   [{ "id": "r1", "responses": { "q1": "q1a2", "q2": "q2a4" } }]
+ *
+ * CSV input (one respondent per row; blank cells are unanswered):
+ *   id,q1,q2,...
+ *   r1,q1a2,q2a4,...
+ *
+ * Each respondent comes back with an errors array listing malformed
+ * responses, so callers can skip that respondent and score the rest.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { extname } from 'node:path';
+
+/**
+ * Parses RFC 4180 CSV (quoted fields, escaped quotes, CRLF or LF).
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} Rows of cells; blank lines are dropped
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    if (cell !== '' || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+function escapeCsv(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/u.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array>} rows - Row values in header order
+ * @returns {string} CSV text with a trailing newline
+ */
+function formatCsv(header, rows) {
+    return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n') + '\n';
+}
+
+function normalizeResponses(responses, label) {
+    if (Array.isArray(responses)) {
+        return responses;
+    }
+    if (responses && typeof responses === 'object') {
+        return Object.entries(responses)
+            .filter(([_, answerId]) => answerId !== null && answerId !== '')
+            .map(([questionId, answerId]) => ({ questionId, answerId }));
+    }
+    throw new Error(`${label} has no responses array or object`);
+}
+
+/**
+ * Problems that would crash scoring or count an answer twice: every
+ * response must be an object with string questionId and answerId, and no
+ * question may be answered more than once. Whether the ids exist in the
+ * quiz is left to validateUserResponses().
+ *
+ * @param {Array} responses - Responses as read from the file
+ * @returns {Array<string>} Error messages, empty when well formed
+ */
+function findResponseErrors(responses) {
+    const errors = [];
+    const seen = new Set();
+
+    responses.forEach((response, index) => {
+        if (!response || typeof response !== 'object' || Array.isArray(response)) {
+            errors.push(`Response at index ${index} is not an object`);
+            return;
+        }
+        if (typeof response.questionId !== 'string' || typeof response.answerId !== 'string') {
+            errors.push(`Response at index ${index} needs string questionId and answerId`);
+            return;
+        }
+        if (seen.has(response.questionId)) {
+            errors.push(`Question ${response.questionId} is answered more than once`);
+        }
+        seen.add(response.questionId);
+    });
+
+    return errors;
+}
+
+function respondentsFromJson(data) {
+    const list = Array.isArray(data) ? data : data?.respondents;
+    if (!Array.isArray(list)) {
+        throw new Error('JSON input must be an array of respondents or { "respondents": [...] }');
+    }
+
+    return list.map((entry, index) => {
+        const id = entry?.id !== undefined && entry.id !== '' ? String(entry.id) : `row-${index + 1}`;
+        const responses = normalizeResponses(entry?.responses, `Respondent ${id}`);
+        return { id, responses, errors: findResponseErrors(responses) };
+    });
+}
+
+function respondentsFromCsv(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) {
+        throw new Error('CSV input is empty');
+    }
+
+    const columns = header.map(name => name.trim());
+    const idColumn = columns.findIndex(name => name.toLowerCase() === 'id');
+
+    return rows.map((cells, index) => {
+        const id = idColumn !== -1 && cells[idColumn]?.trim() ? cells[idColumn].trim() : `row-${index + 1}`;
+        const responses = columns
+            .map((questionId, column) => ({ questionId, answerId: (cells[column] || '').trim() }))
+            .filter((response, column) => column !== idColumn && response.answerId !== '');
+        return { id, responses, errors: findResponseErrors(responses) };
+    });
+}
+
+/**
+ * Reads a respondent file. The format follows the extension unless given.
+ *
+ * @param {string} path - File path
+ * @param {string} format - 'json', 'csv' or null to infer from extension
+ * @returns {Promise<Array<Object>>} Array of {id, responses, errors}
+ * @throws {Error} If the file can't be read or parsed
+ */
+async function readRespondents(path, format = null) {
+    const text = await readFile(path, 'utf8');
+    const inputFormat = format || (extname(path).toLowerCase() === '.csv' ? 'csv' : 'json');
+
+    if (inputFormat === 'csv') {
+        return respondentsFromCsv(text);
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Invalid JSON in ${path}: ${error.message}`);
+    }
+    return respondentsFromJson(data);
+}
+
+/**
+ * Reads quiz-data.json (or any file with the same shape).
+ *
+ * @param {string} path - File path
+ * @returns {Promise<Object>} Parsed quiz data
+ * @throws {Error} If the file can't be read or has no questions array
+ */
+async function readQuizData(path) {
+    let data;
+    try {
+        data = JSON.parse(await readFile(path, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to read quiz data from ${path}: ${error.message}`);
+    }
+    if (!Array.isArray(data?.questions)) {
+        throw new Error(`Quiz data in ${path} has no questions array`);
+    }
+    return data;
+}
+
+export {
+    parseCsv,
+    formatCsv,
+    findResponseErrors,
+    respondentsFromJson,
+    respondentsFromCsv,
+    readRespondents,
+    readQuizData
+};
@@ -0,0 +1,269 @@
+#!/usr/bin/env node
+/**
+ * COLLAPSE ARCHETYPE QUIZ - OFFLINE SCORING CLI
+ *
+ * Scores a file of respondents with the same engine the quiz ships, so
+ * research data can be processed without a browser.
+ *
+ * Usage:
+ *   node tools/score-responses.mjs <responses.json|responses.csv> [options]
+ *
+ * Options:
+ *   --quiz <path>            Quiz data (default: src/data/quiz-data.json)
+ *   --input-format json|csv  Override format inferred from the extension
+ *   --format json|csv        Output format (default: json)
+ *   --strategy <id>          points, dimensional, softmax or bayesian (default: points)
+ *   --metric <id>            euclidean, cosine or mahalanobis, for the
+ *                            dimensional strategy (default: euclidean)
+ *   --agreement              Output how often each dimensional metric agrees
+ *                            with the point-sum method instead of scores
+ *   --output, -o <path>      Write to a file instead of stdout
+ *   --help, -h               Show usage
+ *
+ * Exit codes:
+ *   0  All respondents scored
+ *   1  One or more respondents failed validation (valid rows are still output)
+ *   2  Usage error, unreadable input, or invalid quiz data
+ */
+
+import { writeFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import {
+    compareScoringStrategies,
+    loadArchetypeDimensionalProfiles,
+    loadArchetypeFamilies,
+    loadArchetypeTraitProfiles,
+    scoreQuiz,
+    listScoringStrategies,
+    DIMENSIONAL_METRICS,
+    validateQuizData,
+    validateUserResponses
+} from '../src/js/scoring-engine.js';
+import { formatCsv, readQuizData, readRespondents } from './response-files.mjs';
+
+const DEFAULT_QUIZ_PATH = fileURLToPath(new URL('../src/data/quiz-data.json', import.meta.url));
+const TRAIT_IDS = ['awareness', 'affect', 'agency', 'time', 'relationality', 'posture'];
+
+const USAGE = `Usage: node tools/score-responses.mjs <responses.json|responses.csv> [options]
+
+Options:
+  --quiz <path>            Quiz data (default: src/data/quiz-data.json)
+  --input-format json|csv  Override format inferred from the extension
+  --format json|csv        Output format (default: json)
+  --strategy <id>          points, dimensional, softmax or bayesian (default: points)
+  --metric <id>            euclidean, cosine or mahalanobis (default: euclidean)
+  --agreement              Report agreement of each dimensional metric with points
+  --output, -o <path>      Write to a file instead of stdout
+  --help, -h               Show usage`;
+
+function round(value) {
+    return typeof value === 'number' ? Number(value.toFixed(4)) : value;
+}
+
+function scoreRespondent(quizData, { id, responses }, scoringOptions) {
+    const result = scoreQuiz(quizData.questions, responses, { ...scoringOptions, includeVisualizations: false });
+    const archetype = quizData.archetypes?.find(a => a.id === result.primary);
+
+    return {
+        id,
+        primary: result.primary,
+        primaryName: archetype?.name || null,
+        family: result.families ? result.families.primary : null,
+        strategy: [result.strategy.id, ...Object.values(result.strategy.parameters)].join(':'),
+        confidence: {
+            score: round(result.confidence.score),
+            level: result.confidence.level
+        },
+        blend: result.blend
+            ? result.blend.archetypes.map(({ archetypeId, weight }) => ({ archetypeId, weight: round(weight) }))
+            : null,
+        balanced: result.balanced ? result.balanced.reason : null,
+        normalizedScores: Object.fromEntries(
+            Object.entries(result.normalizedScores).map(([archetypeId, score]) => [archetypeId, round(score)])
+        ),
+        probabilities: Object.fromEntries(
+            Object.entries(result.probabilities.distribution).map(([archetypeId, p]) => [archetypeId, round(p)])
+        ),
+        entropy: round(result.probabilities.entropy),
+        normalizedEntropy: round(result.probabilities.normalizedEntropy),
+        traitProfile: Object.fromEntries(
+            TRAIT_IDS.map(trait => [trait, round(result.userTraitProfile[trait])])
+        ),
+        dimensionalTotals: Object.fromEntries(
+            Object.entries(result.dimensions).map(([dimensionId, { raw }]) => [dimensionId, round(raw)])
+        ),
+        dimensions: Object.fromEntries(
+            Object.entries(result.dimensions).map(([dimensionId, { normalized }]) => [dimensionId, round(normalized)])
+        ),
+        questionsAnswered: result.questionsAnswered,
+        totalQuestions: result.totalQuestions
+    };
+}
+
+function toCsv(quizData, results) {
+    const archetypeIds = (quizData.archetypes || []).map(a => a.id);
+    const dimensionIds = (quizData.metadata?.dimensions || []).map(d => d.id);
+
+    const header = [
+        'id', 'primary', 'family', 'strategy', 'confidence_score', 'confidence_level', 'blend', 'balanced',
+        'questions_answered', 'total_questions',
+        'entropy', 'normalized_entropy',
+        ...archetypeIds.map(id => `score_${id}`),
+        ...archetypeIds.map(id => `prob_${id}`),
+        ...TRAIT_IDS.map(trait => `trait_${trait}`),
+        ...dimensionIds.map(id => `dimension_${id}`),
+        ...dimensionIds.map(id => `dimension_${id}_normalized`)
+    ];
+
+    const rows = results.map(result => [
+        result.id,
+        result.primary,
+        result.family || '',
+        result.strategy,
+        result.confidence.score,
+        result.confidence.level,
+        (result.blend || []).map(member => member.archetypeId).join('+'),
+        result.balanced || '',
+        result.questionsAnswered,
+        result.totalQuestions,
+        result.entropy,
+        result.normalizedEntropy,
+        ...archetypeIds.map(id => result.normalizedScores[id] ?? 0),
+        ...archetypeIds.map(id => result.probabilities[id] ?? 0),
+        ...TRAIT_IDS.map(trait => result.traitProfile[trait]),
+        ...dimensionIds.map(id => result.dimensionalTotals[id] ?? 0),
+        ...dimensionIds.map(id => result.dimensions[id] ?? 50)
+    ]);
+
+    return formatCsv(header, rows);
+}
+
+function fail(message, code = 2) {
+    process.stderr.write(`${message}\n`);
+    process.exitCode = code;
+}
+
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                quiz: { type: 'string' },
+                'input-format': { type: 'string' },
+                format: { type: 'string', default: 'json' },
+                strategy: { type: 'string', default: 'points' },
+                metric: { type: 'string', default: 'euclidean' },
+                agreement: { type: 'boolean' },
+                output: { type: 'string', short: 'o' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        });
+    } catch (error) {
+        return fail(`${error.message}\n\n${USAGE}`);
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+    if (positionals.length !== 1) {
+        return fail(USAGE);
+    }
+    if (!['json', 'csv'].includes(values.format)) {
+        return fail(`Unknown output format: ${values.format} (expected json or csv)`);
+    }
+    if (!listScoringStrategies().includes(values.strategy)) {
+        return fail(`Unknown strategy: ${values.strategy} (expected ${listScoringStrategies().join(', ')})`);
+    }
+    if (!DIMENSIONAL_METRICS.includes(values.metric)) {
+        return fail(`Unknown metric: ${values.metric} (expected ${DIMENSIONAL_METRICS.join(', ')})`);
+    }
+    if (values['input-format'] && !['json', 'csv'].includes(values['input-format'])) {
+        return fail(`Unknown input format: ${values['input-format']} (expected json or csv)`);
+    }
+
+    let quizData;
+    let respondents;
+    try {
+        quizData = await readQuizData(values.quiz || DEFAULT_QUIZ_PATH);
+        respondents = await readRespondents(positionals[0], values['input-format']);
+    } catch (error) {
+        return fail(error.message);
+    }
+
+    const quizValidation = validateQuizData(quizData.questions);
+    if (!quizValidation.valid) {
+        quizValidation.errors.forEach(error => process.stderr.write(`quiz data: ${error}\n`));
+        return fail('Quiz data failed validation; nothing was scored.');
+    }
+
+    try {
+        loadArchetypeTraitProfiles(quizData.archetypes || []);
+        loadArchetypeDimensionalProfiles(quizData.archetypes || []);
+        loadArchetypeFamilies(quizData.families || []);
+    } catch (error) {
+        return fail(`quiz data: ${error.message}`);
+    }
+
+    const scoringOptions = { strategy: values.strategy, dimensionalMetric: values.metric };
+    const results = [];
+    const validRespondents = [];
+    let invalidCount = 0;
+
+    respondents.forEach(respondent => {
+        const validation = respondent.errors.length
+            ? { valid: false, errors: respondent.errors }
+            : validateUserResponses(quizData.questions, respondent.responses);
+        if (!validation.valid) {
+            invalidCount++;
+            validation.errors.forEach(error => process.stderr.write(`${respondent.id}: ${error}\n`));
+            return;
+        }
+        validRespondents.push(respondent);
+    });
+
+    let output;
+    if (values.agreement) {
+        const report = compareScoringStrategies(
+            quizData.questions,
+            validRespondents.map(respondent => respondent.responses)
+        );
+        output = values.format === 'csv'
+            ? formatCsv(
+                ['strategy', 'metric', 'agreements', 'respondents', 'agreement_rate'],
+                report.comparisons.map(comparison => [
+                    comparison.strategy, comparison.metric, comparison.agreements,
+                    report.respondents, round(comparison.agreementRate)
+                ])
+            )
+            : `${JSON.stringify(report, null, 2)}\n`;
+    } else {
+        validRespondents.forEach(respondent => {
+            results.push(scoreRespondent(quizData, respondent, scoringOptions));
+        });
+        output = values.format === 'csv'
+            ? toCsv(quizData, results)
+            : `${JSON.stringify(results, null, 2)}\n`;
+    }
+
+    if (values.output) {
+        try {
+            await writeFile(values.output, output);
+        } catch (error) {
+            return fail(`Unable to write ${values.output}: ${error.message}`);
+        }
+    } else {
+        process.stdout.write(output);
+    }
+
+    if (invalidCount) {
+        fail(`${invalidCount} of ${respondents.length} respondent(s) failed validation and were skipped.`, 1);
+    }
+}
+
+main(process.argv.slice(2));
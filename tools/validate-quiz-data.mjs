@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * COLLAPSE ARCHETYPE QUIZ - QUIZ DATA VALIDATOR
+ *
+ * Checks quiz-data.json against quiz-data.schema.json plus the
+ * cross-references the schema can't express (unknown archetype or dimension
+ * ids, duplicate ids, scores outside the declared scale). The app runs the
+ * same check when it loads the quiz.
+ *
+ * Usage:
+ *   node tools/validate-quiz-data.mjs [--quiz <path>] [--schema <path>]
+ *
+ * Exit codes:
+ *   0  Quiz data is valid
+ *   1  One or more problems were found
+ *   2  Usage error or unreadable quiz data or schema
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { validateQuizDataStrict } from '../src/js/scoring-engine.js';
+import { readQuizData } from './response-files.mjs';
+
+const DEFAULT_QUIZ_PATH = fileURLToPath(new URL('../src/data/quiz-data.json', import.meta.url));
+const DEFAULT_SCHEMA_PATH = fileURLToPath(new URL('../src/data/quiz-data.schema.json', import.meta.url));
+
+const USAGE = `Usage: node tools/validate-quiz-data.mjs [options]
+
+Options:
+  --quiz <path>            Quiz data (default: src/data/quiz-data.json)
+  --schema <path>          Schema (default: src/data/quiz-data.schema.json)
+  --help, -h               Show usage`;
+
+function fail(message, code = 2) {
+    process.stderr.write(`${message}\n`);
+    process.exitCode = code;
+}
+
+async function main(argv) {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            args: argv,
+            options: {
+                quiz: { type: 'string' },
+                schema: { type: 'string' },
+                help: { type: 'boolean', short: 'h' }
+            }
+        }));
+    } catch (error) {
+        return fail(`${error.message}\n\n${USAGE}`);
+    }
+
+    if (values.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+
+    const quizPath = values.quiz || DEFAULT_QUIZ_PATH;
+    const schemaPath = values.schema || DEFAULT_SCHEMA_PATH;
+    let quizData;
+    let schema;
+    try {
+        quizData = await readQuizData(quizPath);
+    } catch (error) {
+        return fail(error.message);
+    }
+    try {
+        schema = JSON.parse(await readFile(schemaPath, 'utf8'));
+    } catch (error) {
+        return fail(`Unable to read schema from ${schemaPath}: ${error.message}`);
+    }
+
+    const { valid, errors } = validateQuizDataStrict(quizData, schema);
+    if (valid) {
+        process.stdout.write(`${quizPath} is valid.\n`);
+        return;
+    }
+
+    errors.forEach(error => process.stdout.write(`${error}\n`));
+    fail(`${errors.length} problem(s) in ${quizPath}.`, 1);
+}
+
+main(process.argv.slice(2));